@@ -0,0 +1,190 @@
+/**
+ * @module controllers/RulesEngineBM
+ * @description The Business Manager module listing the Rule custom objects, with a visual builder to author them and
+ * a panel to try a draft against pasted criteria.
+ */
+
+const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+const ISML = require('dw/template/ISML');
+const CSRFProtection = require('dw/web/CSRFProtection');
+const URLUtils = require('dw/web/URLUtils');
+
+const RulesEngine = require('~/cartridge/scripts/lib/RulesEngine');
+
+/**
+ * Writes a JSON response.
+ * @param {Object} data
+ */
+function renderJSON(data) {
+    response.setContentType('application/json');
+    response.writer.print(JSON.stringify(data));
+}
+
+/**
+ * Parses a JSON request parameter.
+ * @param {string} name - The name of the parameter.
+ * @returns {{value: *}|{error: string}}
+ */
+function parseParameter(name) {
+    try {
+        return {value: JSON.parse(request.httpParameterMap.get(name).stringValue)};
+    } catch (e) {
+        return {error: `The "${name}" parameter is not valid JSON: ${e.message}`};
+    }
+}
+
+/**
+ * Lists the Rule custom objects, without parsing their conditions so broken rules can be listed and fixed.
+ * @returns {Array.<Object>}
+ */
+function listRules() {
+    const rules = [];
+    const iterator = CustomObjectMgr.getAllCustomObjects('Rule');
+
+    try {
+        while (iterator.hasNext()) {
+            let object = iterator.next();
+
+            rules.push({
+                id: object.custom.id,
+                label: object.custom.label || '',
+                enabled: object.custom.enabled !== false,
+                startDate: object.custom.startDate,
+                endDate: object.custom.endDate,
+                priority: object.custom.priority || 0,
+                tags: object.custom.tags ? Array.prototype.slice.call(object.custom.tags).join(', ') : '',
+                lastModified: object.lastModified,
+            });
+        }
+    } finally {
+        iterator.close();
+    }
+
+    return rules.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Turns a Rule custom object into a draft for the builder. The conditions and the default result are passed as text,
+ * the builder parses them and falls back to the JSON editor if they are not valid.
+ * @param {dw.object.CustomObject} object
+ * @returns {Object}
+ */
+function toDraft(object) {
+    return {
+        id: object.custom.id,
+        label: object.custom.label || '',
+        description: object.custom.description || '',
+        context: object.custom.context || '',
+        conditions: object.custom.conditions || '',
+        defaultResult: object.custom.defaultResult || '',
+        tests: object.custom.tests || '',
+        actions: object.custom.actions || '',
+        enabled: object.custom.enabled !== false,
+        startDate: object.custom.startDate ? object.custom.startDate.toISOString() : '',
+        endDate: object.custom.endDate ? object.custom.endDate.toISOString() : '',
+        priority: object.custom.priority || 0,
+        tags: object.custom.tags ? Array.prototype.slice.call(object.custom.tags) : [],
+        clientFields: object.custom.clientFields ? Array.prototype.slice.call(object.custom.clientFields) : [],
+    };
+}
+
+/**
+ * Lists the rules.
+ */
+exports.Start = function () {
+    ISML.renderTemplate('rulesengine/list', {
+        rules: listRules(),
+    });
+};
+exports.Start.public = true;
+
+/**
+ * Opens a rule, or a new one if no id is given, in the builder.
+ */
+exports.Edit = function () {
+    const id = request.httpParameterMap.id.stringValue;
+    const object = id ? CustomObjectMgr.getCustomObject('Rule', id) : null;
+    const engine = new RulesEngine();
+
+    ISML.renderTemplate('rulesengine/edit', {
+        isNew: !object,
+        config: JSON.stringify({
+            draft: object ? toDraft(object) : null,
+            operators: engine.operators(),
+            ruleIds: listRules().map((rule) => rule.id),
+            urls: {
+                list: URLUtils.url('RulesEngineBM-Start').toString(),
+                edit: URLUtils.url('RulesEngineBM-Edit').toString(),
+                save: URLUtils.url('RulesEngineBM-Save').toString(),
+                evaluate: URLUtils.url('RulesEngineBM-Evaluate').toString(),
+            },
+            csrf: {
+                name: CSRFProtection.getTokenName(),
+                token: CSRFProtection.generateToken(),
+            },
+        }),
+    });
+};
+exports.Edit.public = true;
+
+/**
+ * Validates the rule posted by the builder and saves it if it is valid. All the errors and warnings of the rule are
+ * returned, so they can be fixed at once. A new rule is refused if a rule with the same id is already stored.
+ */
+exports.Save = function () {
+    if (request.httpMethod !== 'POST' || !CSRFProtection.validateRequest()) {
+        response.setStatus(403);
+        renderJSON({success: false, error: {message: 'The request could not be verified, reload the page.'}});
+        return;
+    }
+
+    const rule = parseParameter('rule');
+
+    if (rule.error) {
+        renderJSON({success: false, error: {message: rule.error}});
+        return;
+    }
+
+    const id = rule.value && 'object' === typeof rule.value ? rule.value.id : null;
+
+    if (request.httpParameterMap.get('isNew').booleanValue && 'string' === typeof id && CustomObjectMgr.getCustomObject('Rule', id)) {
+        renderJSON({success: false, error: {message: `A rule with the id ${id} already exists, choose another id.`}, diagnostics: []});
+        return;
+    }
+
+    const engine = new RulesEngine();
+    const diagnosis = engine.diagnose(rule.value);
+    const validationResult = engine.save(rule.value, session.userName);
+
+    renderJSON({success: validationResult.isValid, error: validationResult.error, diagnostics: diagnosis.diagnostics});
+};
+exports.Save.public = true;
+
+/**
+ * Explains the draft posted by the builder against the pasted criteria, without saving it.
+ */
+exports.Evaluate = function () {
+    if (request.httpMethod !== 'POST' || !CSRFProtection.validateRequest()) {
+        response.setStatus(403);
+        renderJSON({success: false, error: {message: 'The request could not be verified, reload the page.'}});
+        return;
+    }
+
+    const rule = parseParameter('rule');
+    const criteria = parseParameter('criteria');
+
+    if (rule.error || criteria.error) {
+        renderJSON({success: false, error: {message: rule.error || criteria.error}});
+        return;
+    }
+
+    // a draft is never a stored rule, so it must not be compiled under the last modification of one
+    if (rule.value && 'object' === typeof rule.value) {
+        delete rule.value.lastModified;
+    }
+
+    const explanation = new RulesEngine().explain(rule.value, criteria.value);
+
+    renderJSON({success: !explanation.error, error: explanation.error, explanation: explanation});
+};
+exports.Evaluate.public = true;
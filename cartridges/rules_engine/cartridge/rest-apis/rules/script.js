@@ -0,0 +1,115 @@
+const RESTResponseMgr = require('dw/system/RESTResponseMgr');
+
+const RulesEngine = require('~/cartridge/scripts/lib/RulesEngine');
+const lifecycle = require('~/cartridge/scripts/util/lifecycle');
+
+/**
+ * @param {*} value
+ * @returns {boolean} - Whether the value is an array of non empty strings.
+ */
+function isListOfStrings(value) {
+    return value instanceof Array && value.every((item) => 'string' === typeof item && item.length > 0);
+}
+
+/**
+ * Parses and checks the body of the request.
+ * @returns {{ruleIds: Array.<string>, tags: Array.<string>, criteria: Object}|{error: string}}
+ */
+function parseBody() {
+    let body;
+
+    try {
+        body = JSON.parse(request.httpParameterMap.requestBodyAsString);
+    } catch (e) {
+        return {error: 'The body of the request must be valid JSON.'};
+    }
+
+    if (!body || 'object' !== typeof body || body instanceof Array) {
+        return {error: 'The body of the request must be a JSON object.'};
+    }
+
+    const ruleIds = body.ruleIds || [];
+    const tags = body.tags || [];
+    const criteria = body.criteria || {};
+
+    if (!isListOfStrings(ruleIds) || !isListOfStrings(tags)) {
+        return {error: '"ruleIds" and "tags" must be arrays of strings.'};
+    }
+
+    if (!ruleIds.length && !tags.length) {
+        return {error: 'At least one rule id or tag is required.'};
+    }
+
+    if ('object' !== typeof criteria || criteria instanceof Array) {
+        return {error: '"criteria" must be a JSON object.'};
+    }
+
+    return {ruleIds: ruleIds, tags: tags, criteria: criteria};
+}
+
+/**
+ * Evaluates the rules of a request.
+ * @param {{ruleIds: Array.<string>, tags: Array.<string>, criteria: Object}} body - The parsed body of the request.
+ * @returns {Array.<{ruleId: string, result: *}>} - The results, the rules requested by id first.
+ */
+function evaluate(body) {
+    const engine = new RulesEngine();
+    const sanitize = (rule) => engine.sanitizeCriteria(rule, body.criteria);
+    const results = [];
+    const evaluated = {};
+
+    // the rules requested by id are always returned, in the requested order
+    for (let id of body.ruleIds) {
+        if (!evaluated[id]) {
+            evaluated[id] = true;
+            results.push({ruleId: id, result: engine.decide(id, sanitize(id))});
+        }
+    }
+
+    // the rules requested by tag are only returned when they match, the highest priority first
+    let matches = [];
+
+    for (let tag of body.tags) {
+        for (let match of engine.evaluateAll({tag: tag}, sanitize)) {
+            if (!evaluated[match.rule.id]) {
+                evaluated[match.rule.id] = true;
+                matches.push(match);
+            }
+        }
+    }
+
+    matches.sort((a, b) => lifecycle.compareByPriority(a.rule, b.rule));
+
+    for (let match of matches) {
+        results.push({ruleId: match.rule.id, result: match.result});
+    }
+
+    return results;
+}
+
+/**
+ * Evaluates rules by id or by tag in one round trip. The criteria of the client are sanitized for each rule, so a rule
+ * only sees the fields on its allow-list, and the facts of the server take precedence over the client.
+ */
+exports.evaluateRules = function () {
+    const body = parseBody();
+
+    if (body.error) {
+        RESTResponseMgr.createError(400, 'invalid-request', 'Invalid Request', body.error).render();
+        return;
+    }
+
+    let results;
+
+    try {
+        results = evaluate(body);
+    } catch (e) {
+        dw.system.Logger.error('The rules {0} could not be evaluated: {1}', body.ruleIds.concat(body.tags).join(', '), e.message);
+        RESTResponseMgr.createError(500, 'evaluation-failed', 'Evaluation Failed', 'The rules could not be evaluated.').render();
+        return;
+    }
+
+    RESTResponseMgr.createSuccess({results: results}).render();
+};
+
+exports.evaluateRules.public = true;
@@ -0,0 +1,77 @@
+const BasketMgr = require('dw/order/BasketMgr');
+const CustomerMgr = require('dw/customer/CustomerMgr');
+
+/**
+ * @typedef {import('../lib/ActionRegistry')} ActionRegistry
+ */
+
+/**
+ * @param {Object} params - The parameters of an action writing a custom attribute.
+ * @returns {string|null} - An error message if they are not the name of the attribute and a primitive value.
+ */
+function validateAttribute(params) {
+    const value = params.value;
+    const isValid = 'string' === typeof params.name && params.name.length > 0
+        && (value === null || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1);
+
+    return isValid ? null : 'The "params" of the action must be {"name": string, "value": string, number, boolean or null}';
+}
+
+/**
+ * @param {Object} params - The parameters of an action on a customer group.
+ * @returns {dw.customer.CustomerGroup|null} - The customer group, or null if it does not exist.
+ */
+function customerGroup(params) {
+    return CustomerMgr.getCustomerGroup(params.group);
+}
+
+/**
+ * @method
+ * @name register
+ * @param {ActionRegistry} registry - The registry to register the actions in.
+ * @description Registers the actions on the current session, customer and basket which ship with the rules engine.
+ */
+exports.register = function (registry) {
+    registry.register('setSessionAttribute', {
+        validateParams: validateAttribute,
+        execute: (params) => {
+            session.custom[params.name] = params.value;
+        },
+    });
+
+    registry.register('addToCustomerGroup', {
+        transactional: true,
+        validateParams: (params) => ('string' === typeof params.group && params.group.length > 0
+            ? null
+            : 'The "params" of the action must be {"group": string}'),
+        check: (params) => {
+            const group = customerGroup(params);
+
+            if (!group) {
+                return `The customer group "${params.group}" does not exist`;
+            }
+
+            if (group.ruleBased) {
+                return `The customer group "${params.group}" is rule based, customers cannot be added to it`;
+            }
+
+            return session.customer.registered ? null : 'The customer is not registered';
+        },
+        execute: (params) => {
+            const group = customerGroup(params);
+
+            if (!session.customer.isMemberOfCustomerGroup(group)) {
+                group.assignCustomer(session.customer);
+            }
+        },
+    });
+
+    registry.register('setBasketAttribute', {
+        transactional: true,
+        validateParams: validateAttribute,
+        check: () => (BasketMgr.getCurrentBasket() ? null : 'There is no basket'),
+        execute: (params) => {
+            BasketMgr.getCurrentBasket().custom[params.name] = params.value;
+        },
+    });
+};
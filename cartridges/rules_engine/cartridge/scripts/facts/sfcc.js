@@ -0,0 +1,121 @@
+const BasketMgr = require('dw/order/BasketMgr');
+
+/**
+ * @typedef {import('../lib/FactRegistry')} FactRegistry
+ */
+
+/**
+ * @returns {dw.customer.Profile|null} - The profile of the current customer, null if the customer is not registered.
+ */
+function currentProfile() {
+    return session.customer ? session.customer.profile : null;
+}
+
+/**
+ * @method
+ * @name register
+ * @param {FactRegistry} registry - The registry to register the facts in.
+ * @description Registers the facts about the current customer, basket and request which ship with the rules engine.
+ */
+exports.register = function (registry) {
+    registry.register('customer.authenticated', () => session.customer.authenticated);
+
+    registry.register('customer.registered', () => session.customer.registered);
+
+    registry.register('customer.ID', () => session.customer.ID);
+
+    registry.register('customer.customerNo', () => {
+        const profile = currentProfile();
+
+        return profile ? profile.customerNo : null;
+    });
+
+    registry.register('customer.groups', () => session.customer.customerGroups.toArray().map((group) => group.ID));
+
+    registry.register('customer.email', () => {
+        const profile = currentProfile();
+
+        return profile ? profile.email : null;
+    });
+
+    registry.register('customer.gender', () => {
+        const profile = currentProfile();
+
+        return profile ? profile.gender.value : 0;
+    });
+
+    registry.register('customer.creationDate', () => {
+        const profile = currentProfile();
+
+        return profile ? profile.creationDate : null;
+    });
+
+    registry.register('customer.orderCount', () => {
+        const profile = currentProfile();
+
+        return profile ? profile.orderHistory.orderCount : 0;
+    });
+
+    registry.register('basket.exists', () => !!BasketMgr.getCurrentBasket());
+
+    registry.register('basket.itemCount', () => {
+        const basket = BasketMgr.getCurrentBasket();
+
+        return basket ? basket.productQuantityTotal : 0;
+    });
+
+    registry.register('basket.productIDs', () => {
+        const basket = BasketMgr.getCurrentBasket();
+
+        return basket ? basket.productLineItems.toArray().map((item) => item.productID) : [];
+    });
+
+    registry.register('basket.productLineItems', () => {
+        const basket = BasketMgr.getCurrentBasket();
+
+        return basket
+            ? basket.productLineItems.toArray().map((item) => {
+                const product = item.product;
+                const category = product ? product.primaryCategory || (product.variant ? product.masterProduct.primaryCategory : null) : null;
+
+                return {
+                    productID: item.productID,
+                    quantity: item.quantity.value,
+                    price: item.adjustedPrice.available ? item.adjustedPrice.value : 0,
+                    categoryID: category ? category.ID : null,
+                    inStock: product ? product.availabilityModel.isInStock(item.quantity.value) : false,
+                    bonus: item.bonusProductLineItem,
+                };
+            })
+            : [];
+    });
+
+    registry.register('basket.subtotal', () => {
+        const basket = BasketMgr.getCurrentBasket();
+
+        return basket && basket.adjustedMerchandizeTotalPrice.available ? basket.adjustedMerchandizeTotalPrice.value : 0;
+    });
+
+    registry.register('basket.currencyCode', () => {
+        const basket = BasketMgr.getCurrentBasket();
+
+        return basket ? basket.currencyCode : session.currency.currencyCode;
+    });
+
+    registry.register('request.geolocation', () => {
+        const geolocation = request.geolocation;
+
+        return geolocation
+            ? {
+                countryCode: geolocation.countryCode,
+                regionCode: geolocation.regionCode,
+                city: geolocation.city,
+                postalCode: geolocation.postalCode,
+            }
+            : null;
+    });
+
+    registry.register('request.locale', () => request.locale);
+
+    registry.register('request.time', () => new Date());
+};
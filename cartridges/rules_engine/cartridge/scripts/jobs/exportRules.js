@@ -0,0 +1,70 @@
+/**
+ * @module jobs/exportRules
+ * @description The job step exporting rules to a bundle file in IMPEX, to import them on another instance.
+ */
+
+const Status = require('dw/system/Status');
+
+const RuleRepository = require('~/cartridge/scripts/lib/RuleRepository');
+const RuleBundle = require('~/cartridge/scripts/lib/RuleBundle');
+const impex = require('~/cartridge/scripts/util/impex');
+
+/**
+ * Exports the selected rules: the ones listed in RuleIds, or else the ones with the Tag, or else every rule. The rules
+ * they reference are exported along with them unless IncludeReferences is disabled, so the bundle can be imported on
+ * its own.
+ * @param {Object} parameters - The parameters of the job step.
+ * @param {string} parameters.FilePath - The path of the bundle, relative to the src folder of IMPEX.
+ * @param {string} [parameters.RuleIds] - The comma separated ids of the rules to export.
+ * @param {string} [parameters.Tag] - The tag of the rules to export.
+ * @param {boolean} [parameters.IncludeReferences] - Whether to export the referenced rules, true by default.
+ * @returns {dw.system.Status}
+ */
+exports.execute = function (parameters) {
+    const target = impex.file(parameters.FilePath);
+
+    if (!target) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The path ${parameters.FilePath} must stay within the src folder of IMPEX.`);
+    }
+
+    const repository = new RuleRepository();
+    const ids = impex.list(parameters.RuleIds);
+    let rules;
+
+    if (ids.length) {
+        let missing = ids.filter((id) => !repository.get(id));
+
+        if (missing.length) {
+            return new Status(Status.ERROR, 'NOT_FOUND', `Unknown or unreadable rules: ${missing.join(', ')}.`);
+        }
+
+        rules = ids.map((id) => repository.get(id));
+    } else {
+        rules = repository.find(parameters.Tag ? {tag: parameters.Tag} : null);
+    }
+
+    if (parameters.IncludeReferences !== false) {
+        let exported = {};
+
+        rules.forEach((rule) => {
+            exported[rule.id] = true;
+        });
+
+        for (let rule of rules.slice()) {
+            for (let id of Object.keys(repository.dependencies(rule))) {
+                if (!exported[id] && repository.get(id)) {
+                    exported[id] = true;
+                    rules.push(repository.get(id));
+                }
+            }
+        }
+    }
+
+    const bundle = new RuleBundle(repository).create(rules);
+
+    impex.write(target, JSON.stringify(bundle, null, 2));
+
+    dw.system.Logger.info('Exported {0} rules to {1}: {2}', rules.length, parameters.FilePath, rules.map((rule) => rule.id).join(', '));
+
+    return new Status(Status.OK, 'OK', `Exported ${rules.length} rules.`);
+};
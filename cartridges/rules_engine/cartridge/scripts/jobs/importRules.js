@@ -0,0 +1,120 @@
+/**
+ * @module jobs/importRules
+ * @description The job step importing a bundle file exported by jobs/exportRules.
+ */
+
+const Status = require('dw/system/Status');
+
+const RulesEngine = require('~/cartridge/scripts/lib/RulesEngine');
+const RuleRepository = require('~/cartridge/scripts/lib/RuleRepository');
+const RuleBundle = require('~/cartridge/scripts/lib/RuleBundle');
+const RuleHistory = require('~/cartridge/scripts/lib/RuleHistory');
+const impex = require('~/cartridge/scripts/util/impex');
+const transaction = require('~/cartridge/scripts/util/transaction');
+
+const CONFLICT_MODES = ['overwrite', 'skip', 'fail'];
+
+/**
+ * Logs the diff between the bundle and the stored rules.
+ * @param {import('../lib/RuleBundle').BundleDiff} diff
+ * @param {string} mode - The conflict mode.
+ */
+function logDiff(diff, mode) {
+    diff.additions.forEach((id) => dw.system.Logger.info('+ {0}', id));
+    diff.changes.forEach((change) => dw.system.Logger.info('{0} {1} ({2})', mode === 'overwrite' ? '~' : '=', change.id, change.fields.join(', ')));
+    diff.deletions.forEach((id) => dw.system.Logger.info('- {0}', id));
+}
+
+/**
+ * Imports a bundle. Rules of the bundle which are not stored yet are added. Rules which are stored with different
+ * content are conflicts, handled according to ConflictMode: overwrite them, skip them, or fail the whole import. Every
+ * rule is validated against the rules as they will be stored after the import, and nothing is imported if one is not
+ * valid.
+ * @param {Object} parameters - The parameters of the job step.
+ * @param {string} parameters.FilePath - The path of the bundle, relative to the src folder of IMPEX.
+ * @param {string} [parameters.ConflictMode] - overwrite, skip or fail, fail by default.
+ * @param {boolean} [parameters.DeleteMissing] - Whether to delete the stored rules which are not part of the bundle.
+ * @param {boolean} [parameters.DryRun] - Whether to only log the diff and validate, without importing, true by default.
+ * @returns {dw.system.Status}
+ */
+exports.execute = function (parameters) {
+    const mode = parameters.ConflictMode || 'fail';
+
+    if (CONFLICT_MODES.indexOf(mode) === -1) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The conflict mode must be one of ${CONFLICT_MODES.join(', ')}.`);
+    }
+
+    const source = impex.file(parameters.FilePath);
+
+    if (!source) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The path ${parameters.FilePath} must stay within the src folder of IMPEX.`);
+    }
+
+    if (!source.exists()) {
+        return new Status(Status.ERROR, 'NOT_FOUND', `The bundle ${parameters.FilePath} does not exist.`);
+    }
+
+    const repository = new RuleRepository();
+    const ruleBundle = new RuleBundle(repository);
+    const parsed = ruleBundle.parse(impex.read(source));
+
+    if (parsed.error) {
+        return new Status(Status.ERROR, 'INVALID_BUNDLE', parsed.error);
+    }
+
+    const diff = ruleBundle.diff(parsed.bundle, parameters.DeleteMissing === true);
+    const summary = `${diff.additions.length} additions, ${diff.changes.length} changes, ${diff.deletions.length} deletions, ${diff.unchanged.length} unchanged`;
+
+    logDiff(diff, mode);
+
+    if (mode === 'fail' && diff.changes.length) {
+        return new Status(Status.ERROR, 'CONFLICT', `The bundle conflicts with the stored rules ${diff.changes.map((change) => change.id).join(', ')} (${summary}).`);
+    }
+
+    const written = {};
+
+    diff.additions.forEach((id) => {
+        written[id] = true;
+    });
+
+    if (mode === 'overwrite') {
+        diff.changes.forEach((change) => {
+            written[change.id] = true;
+        });
+    }
+
+    const rules = parsed.bundle.rules.filter((rule) => written[rule.id]);
+    const affected = Object.keys(written).concat(diff.deletions);
+
+    // the stored rules which stay are validated too when they reference a rule which is written or deleted
+    const dependents = repository.find().filter((rule) => !written[rule.id] && diff.deletions.indexOf(rule.id) === -1 &&
+        Object.keys(repository.dependencies(rule)).some((id) => affected.indexOf(id) !== -1));
+
+    const results = new RulesEngine().validateAll(rules.concat(dependents), diff.deletions);
+    const errors = Object.keys(results).filter((id) => !results[id].isValid);
+
+    if (errors.length) {
+        errors.forEach((id) => dw.system.Logger.error('Rule {0} is not valid: {1}', id, results[id].error.message));
+
+        return new Status(Status.ERROR, 'INVALID', `Rules would not be valid after the import: ${errors.join(', ')}. Nothing was imported.`);
+    }
+
+    if (parameters.DryRun !== false) {
+        return new Status(Status.OK, 'DRY_RUN', `Dry run: ${summary}. Nothing was imported.`);
+    }
+
+    // imported rules get a revision like the rules saved through the engine, so an import can be rolled back
+    const history = new RuleHistory();
+
+    // one transaction, so a failing write leaves the stored rules as they were rather than half imported
+    transaction.wrap(() => {
+        // the revision records the rule of the bundle, reading it back before the commit could give the stored one
+        rules.forEach((rule) => {
+            repository.save(rule);
+            history.record(rule, `Import of ${parameters.FilePath}`);
+        });
+        diff.deletions.forEach((id) => repository.remove(id));
+    });
+
+    return new Status(Status.OK, 'OK', `Imported ${summary}.`);
+};
@@ -0,0 +1,334 @@
+/**
+ * @module jobs/materializeSegment
+ * @description The job step materializing the customers matching a rule into a static customer group, for segments
+ * too expensive to evaluate per request, e.g. to target them with promotions and emails.
+ */
+
+const CustomerMgr = require('dw/customer/CustomerMgr');
+const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+const Status = require('dw/system/Status');
+const Transaction = require('dw/system/Transaction');
+
+const RulesEngine = require('~/cartridge/scripts/lib/RulesEngine');
+const RuleRepository = require('~/cartridge/scripts/lib/RuleRepository');
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const OperatorRegistry = require('~/cartridge/scripts/lib/OperatorRegistry');
+const ValueExpression = require('~/cartridge/scripts/lib/ValueExpression');
+const temporalOperators = require('~/cartridge/scripts/operators/temporal');
+const json = require('~/cartridge/scripts/util/json');
+const lifecycle = require('~/cartridge/scripts/util/lifecycle');
+
+const objectDiscovery = new ObjectDiscovery();
+const valueExpression = new ValueExpression();
+
+// the outcome of the temporal operators changes with the time of the run, not with the profile
+const timeDependentOperators = new OperatorRegistry();
+temporalOperators.register(timeDependentOperators);
+
+/**
+ * Validates the criteria mapping.
+ * @param {*} mapping - The parsed mapping.
+ * @returns {string|null} - What is wrong with the mapping, or null if it is valid.
+ */
+function validateMapping(mapping) {
+    if (!objectDiscovery.isObject(mapping) || !Object.keys(mapping).length) {
+        return 'The criteria mapping must be an object mapping criteria paths to profile paths.';
+    }
+
+    for (let field of Object.keys(mapping)) {
+        if (!objectDiscovery.isPlainPath(field)) {
+            return `The criteria path "${field}" of the mapping must not have indexes or wildcards.`;
+        }
+
+        if ('string' !== typeof mapping[field] || !/^(profile|customer)(\.|\[|$)/.test(mapping[field]) || !objectDiscovery.isValidPath(mapping[field])) {
+            return `The criteria path "${field}" must be mapped to a path starting with "profile" or "customer".`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collects what the conditions of a rule read. The nodes in the "where" of a quantifier read the items of its
+ * collection rather than the criteria, so only their operators are collected.
+ * @param {*} conditions - The conditions, or a node of them.
+ * @param {boolean} inItem - Whether the nodes are matched against the items of a collection.
+ * @param {{fields: Object.<string, boolean>, timeDependent: boolean}} found - Collects the criteria paths read and
+ * whether an operator depends on the time of the run.
+ */
+function inspect(conditions, inItem, found) {
+    const read = (value) => {
+        if (inItem) {
+            return;
+        }
+
+        for (let item of Array.isArray(value) ? value : [value]) {
+            if (objectDiscovery.isFieldReference(item)) {
+                found.fields[item.$field] = true;
+            } else if (objectDiscovery.isExpression(item)) {
+                valueExpression.fields(valueExpression.parse(item.$expr)).forEach((path) => {
+                    found.fields[path] = true;
+                });
+            }
+        }
+    };
+
+    if (Array.isArray(conditions)) {
+        conditions.forEach((node) => inspect(node, inItem, found));
+    } else if (objectDiscovery.isCondition(conditions)) {
+        inspect(conditions[objectDiscovery.conditionType(conditions)], inItem, found);
+    } else if (objectDiscovery.isConstraint(conditions)) {
+        found.timeDependent = found.timeDependent || timeDependentOperators.has(conditions.operator);
+        read({$field: conditions.field});
+        read(conditions.value);
+    } else if (objectDiscovery.isQuantifier(conditions)) {
+        read({$field: conditions.collection});
+
+        if (conditions.quantifier === 'count') {
+            found.timeDependent = found.timeDependent || timeDependentOperators.has(conditions.operator);
+            read(conditions.value);
+        }
+
+        if ('where' in conditions) {
+            inspect(conditions.where, true, found);
+        }
+    }
+}
+
+/**
+ * Finds the entries of the mapping providing a criteria path: the path itself, a path it is nested in, or a path nested
+ * in it.
+ * @param {Object.<string, string>} mapping - The paths in the source of each criteria path.
+ * @param {string} field - The criteria path read by a rule.
+ * @returns {Array.<string>} - The criteria paths of the mapping providing the field, none if it is not mapped.
+ */
+function mappedBy(mapping, field) {
+    return Object.keys(mapping).filter((key) => key === field || field.indexOf(key + '.') === 0 || field.indexOf(key + '[') === 0 ||
+        key.indexOf(field + '.') === 0);
+}
+
+/**
+ * Tells whether a path of the mapping is stored on the profile, so a change of its value is a modification of the
+ * profile. The customer, its order history and the active data are derived from other objects.
+ * @param {string} path - A path in the source, starting with "profile" or "customer".
+ * @returns {boolean}
+ */
+function isStoredOnProfile(path) {
+    return /^profile\./.test(path) && !/^profile\.(customer|activeData)(\.|\[|$)/.test(path);
+}
+
+/**
+ * Builds the criteria of a customer.
+ * @param {Object.<string, string>} mapping - The paths in the source of each criteria path.
+ * @param {{profile: dw.customer.Profile, customer: dw.customer.Customer}} source - The profile and the customer.
+ * @returns {Object} - The criteria.
+ */
+function toCriteria(mapping, source) {
+    const criteria = {};
+
+    for (let field of Object.keys(mapping)) {
+        let segments = field.split('.');
+        let parent = criteria;
+
+        for (let segment of segments.slice(0, -1)) {
+            if (!objectDiscovery.isObject(parent[segment])) {
+                parent[segment] = {};
+            }
+
+            parent = parent[segment];
+        }
+
+        parent[segments[segments.length - 1]] = objectDiscovery.resolveNestedProperty(mapping[field], source);
+    }
+
+    return criteria;
+}
+
+/**
+ * @param {string} id - The id of the run, from the rule and the customer group.
+ * @returns {{lastRun: Date, fingerprint: string}|null} - The last recorded run, or null if there is none.
+ */
+function lastRun(id) {
+    const object = CustomObjectMgr.getCustomObject('RuleSegmentRun', id);
+
+    return object ? {lastRun: object.custom.lastRun, fingerprint: object.custom.fingerprint} : null;
+}
+
+/**
+ * @param {string} id - The id of the run, from the rule and the customer group.
+ * @param {Date} startedAt - When the run started, the profiles modified since are processed by the next run.
+ * @param {string} fingerprint - The rule, the rules it references and the mapping the run materialized.
+ */
+function recordRun(id, startedAt, fingerprint) {
+    Transaction.wrap(() => {
+        const object = CustomObjectMgr.getCustomObject('RuleSegmentRun', id) || CustomObjectMgr.createCustomObject('RuleSegmentRun', id);
+
+        object.custom.lastRun = startedAt;
+        object.custom.fingerprint = fingerprint;
+    });
+}
+
+/**
+ * Evaluates a rule against the criteria of the customer profiles and assigns the matching customers to a static
+ * customer group, unassigning the others. Only the profiles modified since the last run are processed, unless the rule,
+ * a rule it references or the mapping changed since, or FullRun is set. A run where a customer could not be processed,
+ * e.g. because the schema of the context of the rule rejected its criteria, is not recorded, so the next run processes
+ * it again.
+ *
+ * Facts describe the session of the job rather than the customer, so they are not resolved and the mapping must
+ * provide every field the rule and the rules it references read. A rule using a temporal operator, referencing a rule
+ * with a start or end date, or reading a field which is not stored on the profile such as customer.orderHistory, can
+ * change its matches without the profiles being modified, so it requires FullRun.
+ * @param {Object} parameters - The parameters of the job step.
+ * @param {string} parameters.RuleId - The id of the rule.
+ * @param {string} parameters.CustomerGroupId - The id of the static customer group.
+ * @param {string} parameters.CriteriaMapping - A JSON object mapping criteria paths to paths in the profile and the
+ * customer, e.g. {"customer.email": "profile.email", "customer.orderCount": "customer.orderHistory.orderCount"}.
+ * @param {boolean} [parameters.FullRun] - Whether to process every profile, required for rules depending on the time
+ * or on data derived from other objects.
+ * @returns {dw.system.Status}
+ */
+exports.execute = function (parameters) {
+    let mapping;
+
+    try {
+        mapping = JSON.parse(parameters.CriteriaMapping);
+    } catch (e) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The criteria mapping is not valid JSON: ${e.message}`);
+    }
+
+    const mappingError = validateMapping(mapping);
+
+    if (mappingError) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', mappingError);
+    }
+
+    const group = CustomerMgr.getCustomerGroup(parameters.CustomerGroupId);
+
+    if (!group) {
+        return new Status(Status.ERROR, 'NOT_FOUND', `The customer group ${parameters.CustomerGroupId} does not exist.`);
+    }
+
+    if (group.ruleBased) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The customer group ${group.ID} is rule based, customers cannot be assigned to it.`);
+    }
+
+    const repository = new RuleRepository();
+    // facts describe the session of the job rather than the customer, the rule only reads the mapped criteria
+    const engine = new RulesEngine({facts: false});
+    const rule = repository.get(parameters.RuleId);
+
+    if (!rule) {
+        return new Status(Status.ERROR, 'NOT_FOUND', `The rule ${parameters.RuleId} does not exist or its JSON is not valid.`);
+    }
+
+    const validationResult = engine.validate(parameters.RuleId);
+
+    if (!validationResult.isValid) {
+        return new Status(Status.ERROR, 'INVALID', `The rule ${rule.id} is not valid: ${validationResult.error.message}`);
+    }
+
+    // an inactive rule matches nobody, materializing it would empty the group
+    if (!lifecycle.isActive(rule)) {
+        return new Status(Status.ERROR, 'INACTIVE', `The rule ${rule.id} is disabled or out of its schedule.`);
+    }
+
+    const found = {fields: {}, timeDependent: false};
+    const scheduled = [];
+
+    inspect(rule.conditions, false, found);
+    Object.keys(repository.dependencies(rule)).forEach((dependencyId) => {
+        let dependency = repository.get(dependencyId);
+
+        inspect(dependency.conditions, false, found);
+
+        // a referenced rule does not match outside of its schedule window, which opens and closes with time
+        if ((dependency.startDate !== undefined && dependency.startDate !== null) || (dependency.endDate !== undefined && dependency.endDate !== null)) {
+            scheduled.push(dependencyId);
+        }
+    });
+
+    const unmapped = Object.keys(found.fields).filter((field) => !mappedBy(mapping, field).length);
+
+    if (unmapped.length) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The rule ${rule.id} or a rule it references reads ${unmapped.join(', ')}, ` +
+            'which the criteria mapping does not provide.');
+    }
+
+    const derived = Object.keys(found.fields)
+        .reduce((keys, field) => keys.concat(mappedBy(mapping, field)), [])
+        .filter((key, index, keys) => keys.indexOf(key) === index && !isStoredOnProfile(mapping[key]));
+
+    // only the modified profiles are processed incrementally, a match which changes with time or with other objects would not be refreshed
+    if (parameters.FullRun !== true && (found.timeDependent || scheduled.length || derived.length)) {
+        let reason = `reads ${derived.join(', ')}, mapped to data which is not stored on the profile`;
+
+        if (found.timeDependent) {
+            reason = 'compares dates with the time of the run';
+        } else if (scheduled.length) {
+            reason = `references the scheduled rules ${scheduled.join(', ')}`;
+        }
+
+        return new Status(Status.ERROR, 'FULL_RUN_REQUIRED', `The rule ${rule.id} ${reason}, so its matches change without the profiles ` +
+            'being modified. Enable FullRun to process every profile on each run.');
+    }
+
+    const id = `${rule.id}:${group.ID}`;
+    const previous = lastRun(id);
+    const fingerprint = json.canonical({
+        rule: rule.lastModified,
+        references: repository.dependencies(rule),
+        mapping: mapping,
+    });
+    const full = parameters.FullRun === true || !previous || previous.fingerprint !== fingerprint;
+    const startedAt = new Date();
+    const counts = {processed: 0, matched: 0, added: 0, removed: 0, failed: 0};
+
+    if (!full) {
+        dw.system.Logger.info('Processing the profiles modified since {0}', previous.lastRun.toISOString());
+    } else if (previous && parameters.FullRun !== true) {
+        dw.system.Logger.info('The rule {0}, the rules it references or the mapping changed since the last run, processing every profile', rule.id);
+    }
+
+    CustomerMgr.processProfiles((profile) => {
+        counts.processed++;
+
+        try {
+            const customer = profile.customer;
+            const explanation = engine.explain(rule.id, toCriteria(mapping, {profile: profile, customer: customer}));
+
+            // criteria rejected by the schema, or a rule which became invalid or inactive, say nothing about the customer
+            if (explanation.error || explanation.inactive) {
+                throw new Error(explanation.error ? explanation.error.message : `The rule ${rule.id} is disabled or out of its schedule.`);
+            }
+
+            const matched = explanation.result === true;
+
+            if (matched) {
+                counts.matched++;
+            }
+
+            if (matched !== customer.isMemberOfCustomerGroup(group)) {
+                Transaction.wrap(() => (matched ? group.assignCustomer(customer) : group.unassignCustomer(customer)));
+                counts[matched ? 'added' : 'removed']++;
+            }
+        } catch (e) {
+            counts.failed++;
+            dw.system.Logger.error('Customer {0} could not be processed: {1}', profile.customerNo, e.message);
+        }
+    }, 'lastModified >= {0}', full ? new Date(0) : previous.lastRun);
+
+    const summary = `${full ? 'Full' : 'Incremental'} run of rule ${rule.id}: ${counts.processed} customers processed, ${counts.matched} matching, ` +
+        `${counts.added} added to ${group.ID}, ${counts.removed} removed, ${counts.failed} failed`;
+    const status = counts.failed
+        ? new Status(Status.ERROR, 'FAILED', `${summary}. The run is not recorded, the next one processes these customers again.`)
+        : new Status(Status.OK, 'OK', `${summary}.`);
+
+    Object.keys(counts).forEach((name) => status.addDetail(name, counts[name]));
+
+    if (!counts.failed) {
+        recordRun(id, startedAt, fingerprint);
+    }
+
+    return status;
+};
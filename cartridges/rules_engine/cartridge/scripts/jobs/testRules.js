@@ -0,0 +1,54 @@
+/**
+ * @module jobs/testRules
+ * @description The job step running the test cases of the rules and writing a JUnit XML report to IMPEX.
+ */
+
+const Status = require('dw/system/Status');
+
+const RulesEngine = require('~/cartridge/scripts/lib/RulesEngine');
+const RuleRepository = require('~/cartridge/scripts/lib/RuleRepository');
+const impex = require('~/cartridge/scripts/util/impex');
+const junit = require('~/cartridge/scripts/util/junit');
+
+/**
+ * Runs the test cases of the rules with the Tag, or of every rule, including the ones which cannot be loaded so they
+ * show in the report. The report lists the failed test cases, the rules without test cases and the rules whose
+ * referenced rules changed since their test cases last passed.
+ * @param {Object} parameters - The parameters of the job step.
+ * @param {string} parameters.FilePath - The path of the report, relative to the src folder of IMPEX.
+ * @param {string} [parameters.Tag] - The tag of the rules to test.
+ * @returns {dw.system.Status}
+ */
+exports.execute = function (parameters) {
+    const target = impex.file(parameters.FilePath);
+
+    if (!target) {
+        return new Status(Status.ERROR, 'INVALID_PARAMETER', `The path ${parameters.FilePath} must stay within the src folder of IMPEX.`);
+    }
+
+    const repository = new RuleRepository();
+    // facts would describe the session of the job, the test cases only depend on their criteria
+    const engine = new RulesEngine({facts: false});
+    const startedAt = new Date();
+    const ids = parameters.Tag ? repository.find({tag: parameters.Tag}).map((rule) => rule.id) : repository.ids();
+    const results = ids.sort().map((id) => engine.runTests(id));
+
+    impex.write(target, junit.report(results, startedAt));
+
+    const failed = results.filter((result) => result.error || result.failed);
+    const untested = results.filter((result) => !result.error && !result.cases.length);
+    const changed = results.filter((result) => result.changedReferences.length);
+
+    failed.forEach((result) => dw.system.Logger.error('Rule {0} fails its tests: {1}', result.ruleId, result.error ||
+        result.cases.filter((test) => !test.passed).map((test) => test.name).join(', ')));
+    changed.forEach((result) => dw.system.Logger.warn('The rules referenced by rule {0} changed since its tests last passed: {1}', result.ruleId,
+        result.changedReferences.join(', ')));
+
+    const summary = `${results.length} rules tested, ${failed.length} failing, ${untested.length} without tests, ${changed.length} with changed references`;
+
+    if (failed.length) {
+        return new Status(Status.ERROR, 'FAILED', `${summary}. See ${parameters.FilePath}.`);
+    }
+
+    return new Status(Status.OK, 'OK', `${summary}.`);
+};
@@ -0,0 +1,67 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+
+/**
+ * @typedef {import('./action-definition.jsdoc').ActionDefinition} ActionDefinition
+ */
+
+/**
+ * @class
+ * @name ActionRegistry
+ * @description A registry of the actions the rules can declare, to run when they match. It drives both the validation
+ * of the actions of a rule and their execution.
+ * @property {Object.<string, ActionDefinition>} _actions - The registered actions by name.
+ */
+const ActionRegistry = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._actions = {};
+    },
+
+    /**
+     * @method
+     * @name register
+     * @param {string} name - The name of the action, as used in the "action" of the actions of a rule.
+     * @param {ActionDefinition} definition - The definition of the action.
+     * @description Registers an action. Registering an action under an existing name replaces it.
+     */
+    register: function (name, definition) {
+        if ('string' !== typeof name || !name) {
+            throw new Error('The name of an action must be a non empty string.');
+        }
+
+        if (!definition || 'function' !== typeof definition.execute) {
+            throw new Error(`The action "${name}" must define an "execute" function.`);
+        }
+
+        this._actions[name] = {
+            name: name,
+            execute: definition.execute,
+            validateParams: definition.validateParams,
+            check: definition.check,
+            transactional: definition.transactional === true,
+        };
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} name - The name of the action.
+     * @returns {ActionDefinition|null} - The definition of the action, or null if it is not registered.
+     */
+    get: function (name) {
+        return Object.prototype.hasOwnProperty.call(this._actions, name) ? this._actions[name] : null;
+    },
+
+    /**
+     * @method
+     * @name names
+     * @returns {Array.<string>} - The names of the registered actions.
+     */
+    names: function () {
+        return Object.keys(this._actions);
+    }
+});
+
+module.exports = ActionRegistry;
@@ -0,0 +1,158 @@
+const Transaction = require('dw/system/Transaction');
+
+const Class = require('~/cartridge/scripts/util/Class').Class;
+
+/**
+ * @typedef {import('./action.jsdoc').Action} Action
+ * @typedef {import('./action-definition.jsdoc').ActionContext} ActionContext
+ * @typedef {import('./ActionRegistry')} ActionRegistry
+ */
+
+/**
+ * @typedef {Object} ActionResult
+ * @property {string} action - The name of the action.
+ * @property {("executed" | "planned" | "failed" | "rolledBack" | "skipped")} status - Whether the action ran, would
+ * run in a dry run, failed, ran but was rolled back because another action of its transaction failed, or did not run
+ * because another action failed.
+ * @property {string} [error] - Why the action failed, or why its transaction was rolled back.
+ */
+
+/**
+ * An action of a rule being run, with its definition and its result.
+ * @typedef {Object} PlannedAction
+ * @property {Object|null} definition - The definition of the action, null if it is not registered.
+ * @property {Object} params - The parameters of the action.
+ * @property {ActionResult} result - The result of the action.
+ */
+
+/**
+ * @class
+ * @name ActionRunner
+ * @description Runs the actions of a rule which matched. Every action is checked before any runs, and none runs if one
+ * of them cannot. The transactional actions then run in a single transaction, rolled back if one of them fails, and
+ * the other actions run once it is committed, so a failed transaction leaves the session untouched too.
+ * @property {ActionRegistry} _actions - The actions the rules can declare.
+ */
+const ActionRunner = Class.extend({
+    /**
+     * @constructor
+     * @param {ActionRegistry} actions - The actions the rules can declare.
+     */
+    init: function (actions) {
+        this._actions = actions;
+    },
+
+    /**
+     * @method
+     * @name run
+     * @param {Array.<Action>} actions - The actions of the rule, in their order.
+     * @param {ActionContext} context - What the actions are run for. In a dry run, the actions are only checked.
+     * @returns {Array.<ActionResult>} - The result of each action, in their order.
+     */
+    run: function (actions, context) {
+        const planned = actions.map((action) => ({
+            definition: this._actions.get(action.action),
+            params: action.params || {},
+            result: {action: action.action, status: 'skipped'},
+        }));
+        let checked = true;
+
+        for (let entry of planned) {
+            let error = this._check(entry, context);
+
+            if (error) {
+                entry.result.status = 'failed';
+                entry.result.error = error;
+                checked = false;
+            } else if (context.dryRun) {
+                entry.result.status = 'planned';
+            }
+        }
+
+        if (checked && !context.dryRun && this._runTransaction(planned.filter((entry) => entry.definition.transactional), context)) {
+            planned.filter((entry) => !entry.definition.transactional).forEach((entry) => this._execute(entry, context));
+        }
+
+        return planned.map((entry) => entry.result);
+    },
+
+    /**
+     * @method
+     * @name _check
+     * @param {PlannedAction} entry - The action.
+     * @param {ActionContext} context - What the action is run for.
+     * @returns {string|null} - Why the action cannot run, or null if it can.
+     * @private
+     */
+    _check: function (entry, context) {
+        if (!entry.definition) {
+            return `The action "${entry.result.action}" is not registered`;
+        }
+
+        try {
+            return entry.definition.check ? entry.definition.check(entry.params, context) || null : null;
+        } catch (e) {
+            return e.message;
+        }
+    },
+
+    /**
+     * @method
+     * @name _runTransaction
+     * @param {Array.<PlannedAction>} entries - The transactional actions, in their order.
+     * @param {ActionContext} context - What the actions are run for.
+     * @returns {boolean} - Whether the transaction was committed.
+     * @private
+     */
+    _runTransaction: function (entries, context) {
+        if (!entries.length) {
+            return true;
+        }
+
+        try {
+            Transaction.wrap(() => {
+                for (let entry of entries) {
+                    if (!this._execute(entry, context)) {
+                        throw new Error(entry.result.error);
+                    }
+                }
+            });
+        } catch (e) {
+            for (let entry of entries) {
+                if (entry.result.status === 'executed') {
+                    entry.result.status = 'rolledBack';
+                    entry.result.error = e.message;
+                }
+            }
+
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * @method
+     * @name _execute
+     * @param {PlannedAction} entry - The action.
+     * @param {ActionContext} context - What the action is run for.
+     * @returns {boolean} - Whether the action succeeded.
+     * @private
+     */
+    _execute: function (entry, context) {
+        try {
+            entry.definition.execute(entry.params, context);
+        } catch (e) {
+            dw.system.Logger.error('The action {0} of rule {1} failed: {2}', entry.result.action, context.rule.id, e.message);
+            entry.result.status = 'failed';
+            entry.result.error = e.message;
+            return false;
+        }
+
+        entry.result.status = 'executed';
+
+        return true;
+    }
+});
+
+module.exports = ActionRunner;
@@ -1,28 +1,83 @@
 const Class = require('~/cartridge/scripts/util/Class').Class;
 const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
-const getConditionsByRoleId = require('~/cartridge/scripts/util/getConditionsByRoleId');
+const ValueExpression = require('~/cartridge/scripts/lib/ValueExpression');
+const constants = require('~/cartridge/scripts/util/constants');
+const lifecycle = require('~/cartridge/scripts/util/lifecycle');
+const json = require('~/cartridge/scripts/util/json');
 
 /**
  * @typedef {import('./condition.jsdoc').Condition} Condition
  * @typedef {import('./constraint.jsdoc').Constraint} Constraint
+ * @typedef {import('./quantifier.jsdoc').Quantifier} Quantifier
  * @typedef {import('./rule.jsdoc').Rule} Rule
  * @typedef {import('./operator.jsdoc').Operator} Operator
  * @typedef {import('./condition-type.jsdoc').ConditionType} ConditionType
+ * @typedef {import('./explanation.jsdoc').ExplainResult} ExplainResult
+ * @typedef {import('./explanation.jsdoc').ExplainNode} ExplainNode
+ * @typedef {import('./OperatorRegistry')} OperatorRegistry
+ * @typedef {import('./FactRegistry')} FactRegistry
+ * @typedef {import('./RuleRepository')} RuleRepository
  */
 
+/**
+ * A condition or constraint compiled into a function. It returns null if the node turns out to be invalid while it is
+ * evaluated, e.g. a reference to a rule which cannot be expanded.
+ * @callback CompiledNode
+ * @param {Object} criteria - The criteria to evaluate the node against.
+ * @param {Array.<string>} path - The ids of the referenced rules expanded to reach the node.
+ * @returns {boolean|null}
+ */
+
+// the costs of the nodes of a condition relative to a constraint with a cheap operator, to run the cheap nodes first
+const COSTS = {
+    // a fact is provided by calling a script API, e.g. to load the basket
+    fact: 20,
+    // a value with field references or an expression is resolved each time
+    dynamic: 1,
+    // the "where" of a quantifier is matched against each item, assumed to be about as many
+    items: 10,
+};
+
 /**
  * @class Evaluator
  * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
- * @property {Array.<Rule>} _rules - The rules that are existing in the system.
+ * @property {RuleRepository} _repository - The repository the referenced rules are loaded from.
+ * @property {OperatorRegistry} _operators - The operators available to constraints.
+ * @property {ValueExpression} _valueExpression - The parser of the arithmetic expressions used as constraint values.
+ * @property {Object.<string, Object>} _expressions - The parsed arithmetic expressions by their text.
+ * @property {FactRegistry} [_facts] - The providers of the facts which are not part of the criteria.
+ * @property {Object.<string, *>} _factValues - The values of the facts provided during the current evaluation.
+ * @property {Object.<string, *>} _fieldValues - The values of the fields resolved from the criteria of the current
+ * evaluation, by path.
+ * @property {number} _generation - Counts the evaluations, so the results of the constraints memoized during the
+ * current one can be told apart.
+ * @property {Object.<string, CompiledNode>} _constraints - The compiled constraints by their canonical JSON, shared by
+ * every rule holding the same constraint.
+ * @property {number} _itemScopes - How many collection quantifiers the current node is nested in. Fields resolve
+ * relative to the item, and never from the facts, inside of them.
+ * @property {Object.<string, (Array.<CompiledNode>|CompiledNode)>} _compiled - The compiled conditions of the stored
+ * rules, by id and last modification.
  */
 const Evaluator = Class.extend({
     /**
      * @constructs Evaluator
-     * @param {Array.<Rule>} rules - The rules that are existing in the system.
+     * @param {RuleRepository} repository - The repository the referenced rules are loaded from.
+     * @param {OperatorRegistry} operators - The operators available to constraints.
+     * @param {FactRegistry} [facts] - The providers of the facts which are not part of the criteria.
      */
-    init: function (rules) {
+    init: function (repository, operators, facts) {
         this._objectDiscovery = new ObjectDiscovery();
-        this._rules = rules;
+        this._repository = repository;
+        this._operators = operators;
+        this._valueExpression = new ValueExpression();
+        this._expressions = Object.create(null);
+        this._facts = facts;
+        this._factValues = {};
+        this._fieldValues = {};
+        this._generation = 0;
+        this._itemScopes = 0;
+        this._compiled = {};
+        this._constraints = {};
     },
 
     /**
@@ -34,34 +89,401 @@ const Evaluator = Class.extend({
      */
     evaluate: function (rule, criteria) {
         const conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        const compiled = this._compileRule(rule, conditions);
+        const path = this._rootPath(rule);
+
+        if (criteria instanceof Array) {
+            let result = [];
+
+            for (let c of criteria) {
+                result.push(this._evaluateRule(conditions, compiled, c, path));
+            }
+
+            return result;
+        }
+
+        return this._evaluateRule(conditions, compiled, criteria, path);
+    },
+
+    /**
+     * @method
+     * @name decide
+     * @param {Rule} rule - The rule to decide.
+     * @param {Object | Array.<Object>} criteria - The criteria to evaluate the rule against.
+     * @returns {* | Array.<*>} - The result of the first matching root condition, or the default of the rule.
+     */
+    decide: function (rule, criteria) {
+        const conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        const compiled = this._compileRule(rule, conditions);
+        const path = this._rootPath(rule);
+        const fallback = 'default' in rule ? rule.default : false;
+
+        if (criteria instanceof Array) {
+            let result = [];
+
+            for (let c of criteria) {
+                result.push(this._decideRule(conditions, compiled, c, fallback, path));
+            }
+
+            return result;
+        }
+
+        return this._decideRule(conditions, compiled, criteria, fallback, path);
+    },
+
+    /**
+     * @method
+     * @name match
+     * @param {Rule} rule - The rule to match.
+     * @param {Object} criteria - The criteria to evaluate the rule against.
+     * @returns {{matched: boolean, result: *}} - Whether a root condition matched, and the result of the first one that
+     * did, or the default of the rule.
+     * @description Decides a rule like decide does, but also tells a matching root condition from the default.
+     */
+    match: function (rule, criteria) {
+        const conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        const index = this._matchRule(conditions, this._compileRule(rule, conditions), criteria, this._rootPath(rule));
+
+        if (index === -1) {
+            return {matched: false, result: 'default' in rule ? rule.default : false};
+        }
+
+        return {matched: true, result: this._conditionResult(conditions[index])};
+    },
+
+    /**
+     * @method
+     * @name matchAll
+     * @param {Array.<Rule>} rules - The rules to match.
+     * @param {Object} criteria - The criteria to evaluate the rules against.
+     * @returns {Array.<{matched: boolean, result: *}>} - What match returns for each rule, in the order of the rules.
+     * @description Matches a set of rules against the same criteria in a single evaluation: each field and fact is
+     * resolved once, and a constraint held by several rules is only checked once.
+     */
+    matchAll: function (rules, criteria) {
+        this._startEvaluation();
+
+        return rules.map((rule) => {
+            let conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+            let index = this._firstMatch(conditions, this._compileRule(rule, conditions), criteria, this._rootPath(rule));
+
+            return index === -1
+                ? {matched: false, result: 'default' in rule ? rule.default : false}
+                : {matched: true, result: this._conditionResult(conditions[index])};
+        });
+    },
+
+    /**
+     * @method
+     * @name resolve
+     * @param {string} field - A criteria path.
+     * @param {Object} criteria - The criteria to resolve the field in.
+     * @returns {*} - The value of the field in the criteria, or else the value of the fact providing it.
+     */
+    resolve: function (field, criteria) {
+        this._startEvaluation();
+
+        return this._resolveCriterion(field, criteria);
+    },
+
+    /**
+     * @method
+     * @name clearCompiled
+     * @description Forgets the compiled constraints and rules, which hold the operators they were compiled with, so the
+     * next evaluation compiles them with the operators registered since.
+     */
+    clearCompiled: function () {
+        this._compiled = {};
+        this._constraints = {};
+    },
+
+    /**
+     * @method
+     * @name explain
+     * @param {Rule} rule - The rule to explain.
+     * @param {Object | Array.<Object>} criteria - The criteria to evaluate the rule against.
+     * @returns {ExplainResult | Array.<ExplainResult>} - The evaluation tree of the rule.
+     * @description Evaluates a rule like evaluate does, but returns the full evaluation tree instead of a boolean.
+     */
+    explain: function (rule, criteria) {
+        const conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        const path = this._rootPath(rule);
+        const fallback = 'default' in rule ? rule.default : false;
 
         if (criteria instanceof Array) {
             let result = [];
 
             for (let c of criteria) {
-                result.push(this._evaluateRule(conditions, c));
+                result.push(this._explainRule(conditions, c, fallback, path));
             }
 
             return result;
         }
 
-        return this._evaluateRule(conditions, criteria);
+        return this._explainRule(conditions, criteria, fallback, path);
+    },
+
+    /**
+     * @method
+     * @name _explainRule
+     * @param {Array.<Condition>} conditions - The conditions to explain.
+     * @param {Object} criteria - The criteria to evaluate the conditions against.
+     * @param {*} fallback - The decision when no root condition matches.
+     * @param {Array.<string>} path - The path of references the rule starts with.
+     * @returns {ExplainResult} - The evaluation tree of the rule.
+     * @private
+     */
+    _explainRule: function (conditions, criteria, fallback, path) {
+        this._startEvaluation();
+
+        const explanation = {
+            result: false,
+            decision: fallback,
+            matchedCondition: null,
+            references: [],
+            conditions: [],
+        };
+
+        for (let i = 0; i < conditions.length; i++) {
+            let condition = conditions[i];
+
+            // Once a root condition matched the remaining ones are never evaluated.
+            if (explanation.matchedCondition !== null) {
+                explanation.conditions.push(this._explainNode(condition, criteria, explanation.references, true, path));
+                continue;
+            }
+
+            let node = this._explainNode(condition, criteria, explanation.references, false, path);
+
+            explanation.conditions.push(node);
+
+            if (node.result) {
+                explanation.matchedCondition = i;
+                explanation.result = typeof condition.result === 'boolean' ? condition.result : true;
+                explanation.decision = this._conditionResult(condition);
+            }
+        }
+
+        return explanation;
+    },
+
+    /**
+     * @method
+     * @name _explainNode
+     * @param {Condition | Constraint | string} node - The node to explain.
+     * @param {Object} criteria - The criteria to evaluate the node against.
+     * @param {Array.<string>} references - Collects the ids of the referenced rules which were expanded.
+     * @param {boolean} skipped - Whether the node was short-circuited and must not be evaluated.
+     * @param {Array.<string>} path - The ids of the referenced rules expanded to reach the node.
+     * @returns {ExplainNode} - The evaluation tree of the node.
+     * @private
+     */
+    _explainNode: function (node, criteria, references, skipped, path) {
+        // Check if the node is a reference to another rule.
+        if (typeof node === 'string') {
+            let explanation = {
+                node: 'reference',
+                ruleId: node,
+                expanded: false,
+                skipped: skipped,
+                result: skipped ? null : false,
+            };
+
+            if (!skipped) {
+                let reference = this._expandReference(node, path);
+
+                if (reference.error) {
+                    explanation.error = reference.error;
+                    return explanation;
+                }
+
+                if (!lifecycle.isActive(reference.rule)) {
+                    explanation.inactive = true;
+                    return explanation;
+                }
+
+                references.push(node);
+                explanation.expanded = true;
+                explanation.conditions = this._explainNode(reference.conditions, criteria, references, false, reference.path);
+                explanation.result = explanation.conditions.result;
+            }
+
+            return explanation;
+        }
+
+        if (this._objectDiscovery.isCondition(node)) {
+            return this._explainCondition(node, criteria, references, skipped, path);
+        }
+
+        if (this._objectDiscovery.isQuantifier(node)) {
+            return this._explainQuantifier(node, criteria, references, skipped, path);
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            let explanation = {
+                node: 'constraint',
+                field: node.field,
+                operator: node.operator,
+                expected: node.value,
+                skipped: skipped,
+                result: null,
+            };
+
+            if (!skipped) {
+                explanation.actual = this._resolveCriterion(node.field, criteria);
+                explanation.result = this._checkConstraint(node, criteria);
+
+                if (this._isDynamicValue(node.value)) {
+                    explanation.resolved = this._resolveValue(node.value, criteria);
+                }
+            }
+
+            return explanation;
+        }
+
+        return {
+            node: 'invalid',
+            element: node,
+            skipped: skipped,
+            result: skipped ? null : false,
+        };
+    },
+
+    /**
+     * @method
+     * @name _explainCondition
+     * @param {Condition} condition - The condition to explain.
+     * @param {Object} criteria - The criteria to evaluate the condition against.
+     * @param {Array.<string>} references - Collects the ids of the referenced rules which were expanded.
+     * @param {boolean} skipped - Whether the condition was short-circuited and must not be evaluated.
+     * @param {Array.<string>} path - The ids of the referenced rules expanded to reach the condition.
+     * @returns {ExplainNode} - The evaluation tree of the condition.
+     * @private
+     */
+    _explainCondition: function (condition, criteria, references, skipped, path) {
+        const type = this._objectDiscovery.conditionType(condition);
+        const explanation = {
+            node: 'condition',
+            type: type,
+            skipped: skipped,
+            shortCircuited: false,
+            result: skipped ? null : ['all', 'none'].includes(type),
+            nodes: [],
+        };
+
+        for (let node of condition[type]) {
+            // The outcome of the condition is known, the remaining nodes are not evaluated.
+            let decided = !skipped && (type === 'any' ? explanation.result : !explanation.result);
+            let child = this._explainNode(node, criteria, references, skipped || decided, path);
+
+            if (decided) {
+                explanation.shortCircuited = true;
+            } else if (!skipped) {
+                explanation.result = type === 'none' ? !child.result : !!child.result;
+            }
+
+            explanation.nodes.push(child);
+        }
+
+        return explanation;
+    },
+
+    /**
+     * @method
+     * @name _explainQuantifier
+     * @param {Quantifier} quantifier - The quantifier to explain.
+     * @param {Object} criteria - The criteria to resolve the collection from.
+     * @param {Array.<string>} references - Collects the ids of the referenced rules which were expanded.
+     * @param {boolean} skipped - Whether the quantifier was short-circuited and must not be evaluated.
+     * @param {Array.<string>} path - The ids of the referenced rules expanded to reach the quantifier.
+     * @returns {ExplainNode} - The evaluation tree of the quantifier, with the evaluation tree of each item evaluated.
+     * @private
+     */
+    _explainQuantifier: function (quantifier, criteria, references, skipped, path) {
+        const isCount = quantifier.quantifier === 'count';
+        const explanation = {
+            node: 'quantifier',
+            quantifier: quantifier.quantifier,
+            collection: quantifier.collection,
+            skipped: skipped,
+            shortCircuited: false,
+            result: null,
+            items: [],
+        };
+
+        if (isCount) {
+            explanation.operator = quantifier.operator;
+            explanation.expected = quantifier.value;
+        }
+
+        if (skipped) {
+            return explanation;
+        }
+
+        const items = this._resolveItems(quantifier.collection, criteria);
+
+        if (!items) {
+            explanation.result = false;
+            return explanation;
+        }
+
+        let evaluated = items.length;
+
+        explanation.size = items.length;
+        explanation.count = 0;
+
+        for (let i = 0; i < items.length; i++) {
+            // "some" and "none" are decided by the first matching item, "every" by the first item which does not match.
+            let decided = quantifier.quantifier === 'every' ? explanation.count < i : !isCount && explanation.count > 0;
+
+            if (decided) {
+                explanation.shortCircuited = true;
+                evaluated = i;
+                break;
+            }
+
+            let matched = true;
+
+            if ('where' in quantifier) {
+                let item = this._inItemScope(() => this._explainNode(quantifier.where, Object(items[i]), references, false, path));
+
+                item.index = i;
+                explanation.items.push(item);
+                matched = !!item.result;
+            }
+
+            explanation.count += matched ? 1 : 0;
+        }
+
+        if (isCount) {
+            explanation.result = this._compareCount(quantifier, explanation.count, criteria);
+
+            if (this._isDynamicValue(quantifier.value)) {
+                explanation.resolved = this._resolveValue(quantifier.value, criteria);
+            }
+        } else {
+            explanation.result = this._quantify(quantifier.quantifier, explanation.count, evaluated);
+        }
+
+        return explanation;
     },
 
     /**
      * @method
      * @name _evaluateRule
      * @param {Array.<Condition>} conditions - The conditions to evaluate.
+     * @param {Array.<CompiledNode>} compiled - The compiled conditions.
      * @param {Object} criteria - The criteria to evaluate the conditions against.
+     * @param {Array.<string>} path - The path of references the rule starts with.
      * @returns {boolean} - The result of the evaluation.
      * @private
      */
-    _evaluateRule: function (conditions, criteria) {
-        for (let condition of conditions) {
-            let result = this._evaluateCondition(condition, criteria);
+    _evaluateRule: function (conditions, compiled, criteria, path) {
+        this._startEvaluation();
 
-            if (result) {
-                return typeof condition.result === 'boolean' ? condition.result : true;
+        for (let i = 0; i < conditions.length; i++) {
+            if (compiled[i](criteria, path)) {
+                return typeof conditions[i].result === 'boolean' ? conditions[i].result : true;
             }
         }
 
@@ -70,125 +492,633 @@ const Evaluator = Class.extend({
 
     /**
      * @method
-     * @name _evaluateCondition
-     * @param {Condition} condition - The condition to evaluate.
-     * @param {Object} criteria - The criteria to evaluate the condition against.
-     * @returns {boolean} - The result of the evaluation.
+     * @name _decideRule
+     * @param {Array.<Condition>} conditions - The conditions to evaluate.
+     * @param {Array.<CompiledNode>} compiled - The compiled conditions.
+     * @param {Object} criteria - The criteria to evaluate the conditions against.
+     * @param {*} fallback - The decision when no root condition matches.
+     * @param {Array.<string>} path - The path of references the rule starts with.
+     * @returns {*} - The result of the first matching condition, true if it has none, otherwise the fallback.
      * @private
      */
-    _evaluateCondition: function (condition, criteria) {
+    _decideRule: function (conditions, compiled, criteria, fallback, path) {
+        const index = this._matchRule(conditions, compiled, criteria, path);
+
+        return index === -1 ? fallback : this._conditionResult(conditions[index]);
+    },
+
+    /**
+     * @method
+     * @name _matchRule
+     * @param {Array.<Condition>} conditions - The root conditions of the rule.
+     * @param {Array.<CompiledNode>} compiled - The compiled root conditions of the rule.
+     * @param {Object} criteria - The criteria to evaluate the conditions against.
+     * @param {Array.<string>} path - The path of references the rule starts with.
+     * @returns {number} - The index of the first root condition that matches, -1 if none does.
+     * @private
+     */
+    _matchRule: function (conditions, compiled, criteria, path) {
+        this._startEvaluation();
+
+        return this._firstMatch(conditions, compiled, criteria, path);
+    },
+
+    /**
+     * @method
+     * @name _firstMatch
+     * @param {Array.<Condition>} conditions - The root conditions of the rule.
+     * @param {Array.<CompiledNode>} compiled - The compiled root conditions of the rule.
+     * @param {Object} criteria - The criteria to evaluate the conditions against.
+     * @param {Array.<string>} path - The path of references the rule starts with.
+     * @returns {number} - The index of the first root condition that matches, -1 if none does.
+     * @description Matches the root conditions within the current evaluation.
+     * @private
+     */
+    _firstMatch: function (conditions, compiled, criteria, path) {
+        for (let i = 0; i < conditions.length; i++) {
+            if (compiled[i](criteria, path)) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+     * @method
+     * @name _startEvaluation
+     * @description Starts an evaluation against new criteria: the facts, the fields and the results of the constraints
+     * of the previous one are forgotten.
+     * @private
+     */
+    _startEvaluation: function () {
+        this._factValues = {};
+        this._fieldValues = {};
+        this._generation++;
+    },
+
+    /**
+     * @method
+     * @name _conditionResult
+     * @param {Condition | string} condition - A root condition which matched.
+     * @returns {*} - The result of the condition, true if it has none.
+     * @private
+     */
+    _conditionResult: function (condition) {
+        return this._objectDiscovery.isObject(condition) && 'result' in condition ? condition.result : true;
+    },
+
+    /**
+     * @method
+     * @name _compileRule
+     * @param {Rule} rule - The rule to compile.
+     * @param {Array.<Condition>} conditions - The root conditions of the rule.
+     * @returns {Array.<CompiledNode>} - The compiled root conditions.
+     * @description Compiles the root conditions of a rule. Stored rules are compiled once per evaluator, and compiled
+     * again when they are modified.
+     * @private
+     */
+    _compileRule: function (rule, conditions) {
+        const key = typeof rule.id === 'string' && typeof rule.lastModified === 'number'
+            ? rule.id + '_' + rule.lastModified
+            : null;
+
+        if (key && Object.prototype.hasOwnProperty.call(this._compiled, key)) {
+            return this._compiled[key];
+        }
+
+        const compiled = conditions.map((condition) => {
+            // A root node can only be a condition or a reference to another rule.
+            let fn = typeof condition === 'string' || this._objectDiscovery.isCondition(condition)
+                ? this._compile(condition)
+                : null;
+
+            return fn ? (criteria, path) => !!fn(criteria, path) : () => false;
+        });
+
+        if (key) {
+            this._compiled[key] = compiled;
+        }
+
+        return compiled;
+    },
+
+    /**
+     * @method
+     * @name _compile
+     * @param {Condition | Constraint | string} node - The node to compile.
+     * @returns {CompiledNode|null} - The compiled node, or null if the node is not valid.
+     * @private
+     */
+    _compile: function (node) {
+        if (typeof node === 'string') {
+            return this._compileReference(node);
+        }
+
+        if (this._objectDiscovery.isCondition(node)) {
+            return this._compileCondition(node);
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            return this._compileConstraint(node);
+        }
+
+        if (this._objectDiscovery.isQuantifier(node)) {
+            return this._compileQuantifier(node);
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name _compileCondition
+     * @param {Condition} condition - The condition to compile.
+     * @returns {CompiledNode} - The compiled condition.
+     * @description Compiles a condition. The compiled condition evaluates its cheapest nodes first and stops as soon
+     * as its outcome is known, and is false if any of its nodes is not valid.
+     * @private
+     */
+    _compileCondition: function (condition) {
         const type = this._objectDiscovery.conditionType(condition);
+        const nodes = [];
 
-        if (!type) {
-            return false;
+        for (let node of this._byCost(condition[type])) {
+            let fn = this._compile(node);
+
+            if (!fn) {
+                dw.system.Logger.error('Invalid node type in condition. {0}', JSON.stringify(node));
+                return () => false;
+            }
+
+            nodes.push(fn);
         }
 
-        let result = ['all', 'none'].includes(type);
+        // "any" is decided by the first met node, "all" and "none" by the first node which is not met, or met.
+        const decisive = type !== 'all';
+        const decided = type === 'any';
 
-        for (let node of condition[type]) {
-            let fn;
+        return (criteria, path) => {
+            for (let fn of nodes) {
+                let result = fn(criteria, path);
 
-            // Check if the condition is a reference to another rule.
-            if (typeof node === 'string') {
-                node = getConditionsByRoleId(this._rules, node);
+                if (result === null) {
+                    return false;
+                }
+
+                if (result === decisive) {
+                    return decided;
+                }
             }
 
-            if (this._objectDiscovery.isCondition(node)) {
-                fn = '_evaluateCondition';
-            } else if (this._objectDiscovery.isConstraint(node)) {
-                fn = '_checkConstraint';
+            return !decided;
+        };
+    },
+
+    /**
+     * @method
+     * @name _compileReference
+     * @param {string} id - The id of the referenced rule.
+     * @returns {CompiledNode} - The compiled reference, which expands the referenced rule when it is evaluated.
+     * @private
+     */
+    _compileReference: function (id) {
+        return (criteria, path) => {
+            const reference = this._expandReference(id, path);
+
+            if (reference.error) {
+                dw.system.Logger.error(reference.error);
+                return null;
             }
 
-            if (!fn) {
-                dw.system.Logger.error('Invalid node type in condition. {0}', JSON.stringify(node));
+            // A referenced rule which is disabled or out of its schedule never matches.
+            if (!lifecycle.isActive(reference.rule)) {
                 return false;
             }
 
-            // Process the node
-            switch (type) {
-                case 'any':
-                    result = result || this[fn](node, criteria);
-                    break;
-                case 'all':
-                    result = result && this[fn](node, criteria);
-                    break;
-                case 'none':
-                    result = result && !this[fn](node, criteria);
+            // Referenced rules are compiled once, like the rules evaluated at the root.
+            const key = '@' + reference.rule.id + '_' + reference.rule.lastModified;
+
+            if (!Object.prototype.hasOwnProperty.call(this._compiled, key)) {
+                this._compiled[key] = this._compile(reference.conditions);
+            }
+
+            if (!this._compiled[key]) {
+                dw.system.Logger.error('Invalid node type in condition. {0}', JSON.stringify(reference.conditions));
+                return null;
             }
+
+            return this._compiled[key](criteria, reference.path);
+        };
+    },
+
+    /**
+     * @method
+     * @name _compileConstraint
+     * @param {Constraint} constraint - The constraint to compile.
+     * @returns {CompiledNode} - The compiled constraint.
+     * @private
+     */
+    _compileConstraint: function (constraint) {
+        const operator = this._operators.get(constraint.operator);
+        const isDynamic = this._isDynamicValue(constraint.value);
+
+        if (!operator) {
+            return () => false;
+        }
+
+        const key = json.canonical({field: constraint.field, operator: operator.name, value: constraint.value});
+
+        if (Object.prototype.hasOwnProperty.call(this._constraints, key)) {
+            return this._constraints[key];
         }
 
-        return result;
+        const check = (criteria) => {
+            const criterion = this._resolveCriterion(constraint.field, criteria);
+
+            if (undefined === criterion) {
+                return false;
+            }
+
+            const value = isDynamic ? this._resolveValue(constraint.value, criteria) : constraint.value;
+
+            if (undefined === value) {
+                return false;
+            }
+
+            return this._applyOperator(operator, criterion, value, constraint.field);
+        };
+        let generation = -1;
+        let result = false;
+
+        // the result is memoized for the current evaluation, except for the items of a collection which differ each time
+        this._constraints[key] = (criteria) => {
+            if (this._itemScopes > 0) {
+                return check(criteria);
+            }
+
+            if (generation !== this._generation) {
+                result = check(criteria);
+                generation = this._generation;
+            }
+
+            return result;
+        };
+
+        return this._constraints[key];
     },
 
     /**
      * @method
-     * @name _checkConstraint
-     * @param {Constraint} constraint - The constraint to check.
-     * @param {Object} criteria - The criteria to check the constraint against.
-     * @returns {boolean} - The result of the check.
+     * @name _byCost
+     * @param {Array.<(Condition|Constraint|Quantifier|string)>} nodes - The nodes of a condition.
+     * @returns {Array.<(Condition|Constraint|Quantifier|string)>} - The nodes, the cheapest first. A node which can
+     * turn out invalid while it is evaluated, i.e. one holding a rule reference, keeps its place, so the nodes before
+     * it are still evaluated before it and the outcome of the condition does not change.
      * @private
      */
-    _checkConstraint: function (constraint, criteria) {
-        const criterion = constraint.field.includes('.')
-            ? this._objectDiscovery.resolveNestedProperty(constraint.field, criteria)
-            : criteria[constraint.field];
+    _byCost: function (nodes) {
+        const costs = nodes.map((node) => this._cost(node));
+        let ordered = [];
+        let run = [];
 
-        if (undefined === criterion) {
-            return false;
+        for (let i = 0; i <= nodes.length; i++) {
+            if (i < nodes.length && costs[i] !== null) {
+                run.push(i);
+                continue;
+            }
+
+            run.sort((a, b) => costs[a] - costs[b] || a - b);
+            ordered = ordered.concat(run, i < nodes.length ? [i] : []);
+            run = [];
+        }
+
+        return ordered.map((i) => nodes[i]);
+    },
+
+    /**
+     * @method
+     * @name _cost
+     * @param {Condition|Constraint|Quantifier|string} node - A node of a condition.
+     * @returns {number|null} - The estimated cost of evaluating the node, or null if it can turn out invalid.
+     * @private
+     */
+    _cost: function (node) {
+        if (this._objectDiscovery.isCondition(node)) {
+            let type = this._objectDiscovery.conditionType(node);
+            let costs = Array.isArray(node[type]) ? node[type].map((child) => this._cost(child)) : [null];
+
+            return costs.includes(null) ? null : costs.reduce((sum, cost) => sum + cost, 0);
+        }
+
+        if (this._objectDiscovery.isQuantifier(node)) {
+            let where = 'where' in node ? this._cost(node.where) : 0;
+
+            return where === null ? null : COSTS.items * (1 + where);
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            let operator = this._operators.get(node.operator);
+
+            return (operator ? operator.cost : 0) +
+                (this._facts && typeof node.field === 'string' && this._facts.find(node.field) ? COSTS.fact : 0) +
+                (this._isDynamicValue(node.value) ? COSTS.dynamic : 0);
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name _compileQuantifier
+     * @param {Quantifier} quantifier - The quantifier to compile.
+     * @returns {CompiledNode} - The compiled quantifier, which matches the items of the collection one by one.
+     * @private
+     */
+    _compileQuantifier: function (quantifier) {
+        const isCount = quantifier.quantifier === 'count';
+        const where = 'where' in quantifier ? this._compile(quantifier.where) : () => true;
+
+        if (!where || (isCount && !this._operators.get(quantifier.operator))) {
+            dw.system.Logger.error('Invalid quantifier. {0}', JSON.stringify(quantifier));
+            return () => false;
         }
 
-        // do all the checks
-
-        switch (constraint.operator) {
-            case 'equals':
-                return criterion === constraint.value;
-            case 'does not equal':
-                return criterion !== constraint.value;
-            case 'greater than':
-                return criterion > constraint.value;
-            case 'greater than or equal':
-                return criterion >= constraint.value;
-            case 'less than':
-                return criterion < constraint.value;
-            case 'less than or equal':
-                return criterion <= constraint.value;
-            case 'exists':
-                return !empty(criterion);
-            case 'does not exist':
-                return empty(criterion);
-            case 'in':
-                return (
-                    Array.isArray(constraint.value) &&
-                    constraint.value.includes(criterion)
-                );
-            case 'not in':
-                return (
-                    !Array.isArray(constraint.value) ||
-                    !constraint.value.includes(criterion)
-                );
-            case 'contains':
-                return Array.isArray(criterion) && criterion.includes(constraint.value);
-            case 'not contains':
-                return (
-                    !Array.isArray(criterion) || !criterion.includes(constraint.value)
-                );
-            case 'contains any':
-                return (
-                    Array.isArray(constraint.value) &&
-                    constraint.value.some((x) => criterion.includes(x))
-                );
-            case 'not contains any':
-                return (
-                    !Array.isArray(constraint.value) ||
-                    !constraint.value.some((x) => criterion.includes(x))
-                );
-            case 'matches':
-                return new RegExp(criterion).test(`${constraint.value}`);
-            case 'does not match':
-                return !new RegExp(criterion).test(`${constraint.value}`);
-            default:
+        return (criteria, path) => {
+            const items = this._resolveItems(quantifier.collection, criteria);
+
+            if (!items) {
                 return false;
+            }
+
+            let count = 0;
+
+            for (let i = 0; i < items.length; i++) {
+                let result = this._inItemScope(() => where(Object(items[i]), path));
+
+                if (result === null) {
+                    return null;
+                }
+
+                count += result ? 1 : 0;
+
+                // "some" and "none" are decided by the first matching item, "every" by the first item which does not match.
+                if (quantifier.quantifier === 'every' ? !result : !isCount && result) {
+                    return this._quantify(quantifier.quantifier, count, i + 1);
+                }
+            }
+
+            return isCount ? this._compareCount(quantifier, count, criteria) : this._quantify(quantifier.quantifier, count, items.length);
+        };
+    },
+
+    /**
+     * @method
+     * @name _quantify
+     * @param {string} quantifier - Either "some", "every" or "none".
+     * @param {number} count - The number of matching items.
+     * @param {number} size - The number of items evaluated.
+     * @returns {boolean} - The outcome of the quantifier.
+     * @private
+     */
+    _quantify: function (quantifier, count, size) {
+        if (quantifier === 'some') {
+            return count > 0;
+        }
+
+        return quantifier === 'every' ? count === size : count === 0;
+    },
+
+    /**
+     * @method
+     * @name _compareCount
+     * @param {Quantifier} quantifier - A "count" quantifier.
+     * @param {number} count - The number of matching items.
+     * @param {Object} criteria - The criteria to resolve the field references and expressions of the value from.
+     * @returns {boolean} - Whether the number of matching items compares to the value of the quantifier.
+     * @private
+     */
+    _compareCount: function (quantifier, count, criteria) {
+        const operator = this._operators.get(quantifier.operator);
+        const value = this._isDynamicValue(quantifier.value) ? this._resolveValue(quantifier.value, criteria) : quantifier.value;
+
+        if (!operator || undefined === value) {
+            return false;
+        }
+
+        return this._applyOperator(operator, count, value, quantifier.collection);
+    },
+
+    /**
+     * @method
+     * @name _applyOperator
+     * @param {Object} operator - The definition of the operator.
+     * @param {*} criterion - The criterion value.
+     * @param {*} value - The value of the constraint.
+     * @param {string} field - The field the criterion was resolved from, for the log.
+     * @returns {boolean} - Whether the constraint is met. An operator which throws, e.g. on a criterion of an
+     * unexpected type supplied by a client, is logged and the constraint is not met.
+     * @private
+     */
+    _applyOperator: function (operator, criterion, value, field) {
+        try {
+            return !!operator.evaluate(criterion, value);
+        } catch (e) {
+            dw.system.Logger.warn('The operator "{0}" failed on the field {1}: {2}', operator.name, field, e.message);
+            return false;
         }
+    },
+
+    /**
+     * @method
+     * @name _resolveItems
+     * @param {string} collection - The path of the collection.
+     * @param {Object} criteria - The criteria to resolve the collection from.
+     * @returns {Array|null} - The items of the collection, or null if the path does not resolve to an array or a
+     * dw.util.Collection.
+     * @private
+     */
+    _resolveItems: function (collection, criteria) {
+        return this._objectDiscovery.toArray(this._resolveCriterion(collection, criteria));
+    },
+
+    /**
+     * @method
+     * @name _inItemScope
+     * @param {function(): *} fn - Evaluates a node against an item of a collection.
+     * @returns {*} - The return value of the function.
+     * @description Runs the function with the fields resolving relative to the item only, so a field missing from the
+     * item is not taken from a fact of the whole evaluation.
+     * @private
+     */
+    _inItemScope: function (fn) {
+        this._itemScopes++;
+
+        try {
+            return fn();
+        } finally {
+            this._itemScopes--;
+        }
+    },
+
+    /**
+     * @method
+     * @name _rootPath
+     * @param {Rule} rule - The rule being evaluated.
+     * @returns {Array.<string>} - The path of references the evaluation starts with.
+     * @description The path starts at the rule itself when it has an id, so a rule referencing itself is detected.
+     * @private
+     */
+    _rootPath: function (rule) {
+        return typeof rule.id === 'string' ? [rule.id] : [];
+    },
+
+    /**
+     * @method
+     * @name _expandReference
+     * @param {string} id - The id of the referenced rule.
+     * @param {Array.<string>} path - The ids of the referenced rules already expanded to reach the reference.
+     * @returns {{rule: Rule, conditions: (Condition|Array.<Condition>), path: Array.<string>, error: string}} - The
+     * referenced rule, its conditions and the path including it, or an error if the reference cannot be expanded.
+     * @description Expands a reference to another rule. The expansion depth is limited, so a bad edit of a rule cannot
+     * make an evaluation recurse until the script times out.
+     * @private
+     */
+    _expandReference: function (id, path) {
+        const referencePath = path.concat(id);
+
+        if (referencePath.length > constants.MAX_REFERENCE_DEPTH) {
+            return {
+                error: `Rule references are nested deeper than ${constants.MAX_REFERENCE_DEPTH} levels: ${referencePath.join(' -> ')}`,
+            };
+        }
+
+        if (path.includes(id)) {
+            return {error: `Circular rule reference: ${referencePath.join(' -> ')}`};
+        }
+
+        const rule = this._repository.get(id);
+
+        if (!rule) {
+            return {error: `Invalid rule reference. ${id} does not reference any known rule: ${referencePath.join(' -> ')}`};
+        }
+
+        return {
+            rule: rule,
+            conditions: rule.conditions,
+            path: referencePath,
+        };
+    },
+
+    /**
+     * @method
+     * @name _resolveCriterion
+     * @param {string} field - The field path of a constraint.
+     * @param {Object} criteria - The criteria to resolve the field from.
+     * @returns {*} - The criterion value, or undefined if the path does not resolve.
+     * @description Resolves a field from the criteria. If the criteria do not hold it, the field is resolved from the
+     * registered facts instead, unless the criteria are an item of a collection quantifier.
+     * @private
+     */
+    _resolveCriterion: function (field, criteria) {
+        if (this._itemScopes > 0) {
+            return this._objectDiscovery.resolveNestedProperty(field, criteria);
+        }
+
+        // the fields of the criteria of the evaluation are resolved once
+        if (!Object.prototype.hasOwnProperty.call(this._fieldValues, field)) {
+            let criterion = this._objectDiscovery.resolveNestedProperty(field, criteria);
+
+            this._fieldValues[field] = undefined !== criterion || !this._facts ? criterion : this._resolveFact(field, criteria);
+        }
+
+        return this._fieldValues[field];
+    },
+
+    /**
+     * @method
+     * @name _resolveFact
+     * @param {string} field - The field path of a constraint.
+     * @param {Object} criteria - The criteria of the evaluation.
+     * @returns {*} - The value of the fact, or undefined if no fact provides the field.
+     * @description Resolves a field from the fact registered under it, or under the longest leading part of it. Each
+     * provider is called at most once per evaluation.
+     * @private
+     */
+    _resolveFact: function (field, criteria) {
+        const fact = this._facts.find(field);
+
+        if (!fact) {
+            return undefined;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this._factValues, fact.name)) {
+            try {
+                this._factValues[fact.name] = this._facts.get(fact.name)(criteria);
+            } catch (e) {
+                dw.system.Logger.error('Fact provider "{0}" failed: {1}', fact.name, e.message);
+                this._factValues[fact.name] = undefined;
+            }
+        }
+
+        const value = this._factValues[fact.name];
+
+        return fact.rest ? this._objectDiscovery.resolveNestedProperty(fact.rest, value) : this._objectDiscovery.unwrap(value);
+    },
+
+    /**
+     * @method
+     * @name _isDynamicValue
+     * @param {*} value - The value of a constraint.
+     * @returns {boolean} - Whether the value is, or contains, a field reference or an expression.
+     * @private
+     */
+    _isDynamicValue: function (value) {
+        if (Array.isArray(value)) {
+            return value.some((v) => this._isDynamicValue(v));
+        }
+
+        return this._objectDiscovery.isFieldReference(value) || this._objectDiscovery.isExpression(value);
+    },
+
+    /**
+     * @method
+     * @name _resolveValue
+     * @param {*} value - The value of a constraint.
+     * @param {Object} criteria - The criteria to resolve field references and expressions from.
+     * @returns {*} - The value with its field references and expressions resolved, undefined if they do not resolve.
+     * @private
+     */
+    _resolveValue: function (value, criteria) {
+        if (Array.isArray(value)) {
+            return value.map((v) => this._resolveValue(v, criteria));
+        }
+
+        if (this._objectDiscovery.isFieldReference(value)) {
+            return this._resolveCriterion(value.$field, criteria);
+        }
+
+        if (this._objectDiscovery.isExpression(value)) {
+            if (!Object.prototype.hasOwnProperty.call(this._expressions, value.$expr)) {
+                this._expressions[value.$expr] = this._valueExpression.parse(value.$expr);
+            }
+
+            return this._valueExpression.evaluate(this._expressions[value.$expr], (path) => this._resolveCriterion(path, criteria));
+        }
+
+        return value;
+    },
+
+    /**
+     * @method
+     * @name _checkConstraint
+     * @param {Constraint} constraint - The constraint to check.
+     * @param {Object} criteria - The criteria to check the constraint against.
+     * @returns {boolean} - The result of the check.
+     * @private
+     */
+    _checkConstraint: function (constraint, criteria) {
+        return this._compileConstraint(constraint)(criteria);
     }
 });
 
@@ -0,0 +1,93 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+
+/**
+ * @callback FactProvider
+ * @param {Object} criteria - The criteria of the evaluation which needs the fact.
+ * @returns {*} - The value of the fact.
+ */
+
+/**
+ * @class
+ * @name FactRegistry
+ * @description A registry of named fact providers. When a constraint field cannot be resolved from the criteria, the
+ * evaluator looks up the provider registered under the field, or under the longest leading part of it, and calls it
+ * once per evaluation. This way callers do not need to compute every value a rule might read up front.
+ * @property {Object.<string, FactProvider>} _providers - The registered providers by name.
+ */
+const FactRegistry = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._providers = {};
+    },
+
+    /**
+     * @method
+     * @name register
+     * @param {string} name - The name of the fact, a criteria path such as "customer.groups".
+     * @param {FactProvider} provider - Computes the value of the fact.
+     * @description Registers a fact provider. Registering a provider under an existing name replaces it.
+     */
+    register: function (name, provider) {
+        if ('string' !== typeof name || !name) {
+            throw new Error('The name of a fact must be a non empty string.');
+        }
+
+        if ('function' !== typeof provider) {
+            throw new Error(`The provider of the fact "${name}" must be a function.`);
+        }
+
+        this._providers[name] = provider;
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} name - The name of the fact.
+     * @returns {FactProvider|null} - The provider of the fact, or null if it is not registered.
+     */
+    get: function (name) {
+        return Object.prototype.hasOwnProperty.call(this._providers, name) ? this._providers[name] : null;
+    },
+
+    /**
+     * @method
+     * @name find
+     * @param {string} path - A criteria path, e.g. "request.geolocation.countryCode".
+     * @returns {{name: string, rest: string}|null} - The name of the fact registered under the longest leading part of
+     * the path, and the rest of the path to resolve in its value, or null if no fact matches. A leading part ends
+     * before a dot or an index, so "basket.productLineItems[0].productID" finds "basket.productLineItems".
+     */
+    find: function (path) {
+        for (let i = path.length; i > 0; i--) {
+            let end = path.charAt(i);
+
+            if (i < path.length && end !== '.' && end !== '[') {
+                continue;
+            }
+
+            let name = path.slice(0, i);
+
+            if (this.get(name)) {
+                return {
+                    name: name,
+                    rest: path.slice(end === '.' ? i + 1 : i),
+                };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name names
+     * @returns {Array.<string>} - The names of the registered facts.
+     */
+    names: function () {
+        return Object.keys(this._providers);
+    }
+});
+
+module.exports = FactRegistry;
@@ -1,5 +1,46 @@
 const Class = require('~/cartridge/scripts/util/Class').Class;
 
+const PATH = /^[A-Za-z_$][\w$]*(?:\[(?:\d+|\*)\])*(?:\.[A-Za-z_$][\w$]*(?:\[(?:\d+|\*)\])*)*$/;
+const PLAIN_PATH = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+const SEGMENT = /^(.*?)((?:\[(?:\d+|\*)\])*)$/;
+const INDEX = /\[(\d+|\*)\]/g;
+
+/**
+ * The parsed segments of the paths resolved so far, by path.
+ * @type {Object.<string, Array.<{name: string}|{index: number}|{wildcard: boolean}>>}
+ */
+const segmentsByPath = {};
+
+/**
+ * Splits a path into property names, indexes and wildcards, e.g. "items[0].id" into "items", 0 and "id".
+ * @param {string} path
+ * @returns {Array.<{name: string}|{index: number}|{wildcard: boolean}>}
+ */
+function parsePath(path) {
+    if (!Object.prototype.hasOwnProperty.call(segmentsByPath, path)) {
+        const segments = [];
+
+        for (let part of path.split('.')) {
+            let match = SEGMENT.exec(part);
+            let index;
+
+            if (match[1] || !match[2]) {
+                segments.push({name: match[1]});
+            }
+
+            INDEX.lastIndex = 0;
+
+            while ((index = INDEX.exec(match[2]))) {
+                segments.push(index[1] === '*' ? {wildcard: true} : {index: Number(index[1])});
+            }
+        }
+
+        segmentsByPath[path] = segments;
+    }
+
+    return segmentsByPath[path];
+}
+
 /**
  * @class
  * @name ObjectDiscovery
@@ -10,7 +51,15 @@ const Class = require('~/cartridge/scripts/util/Class').Class;
  * @method isObject Checks if a given parameter is an object.
  * @method isCondition Checks if a given object is a condition.
  * @method isConstraint Checks if a given object is a constraint.
+ * @method isQuantifier Checks if a given object is a collection quantifier.
+ * @method isFieldReference Checks if a given constraint value is a reference to another criteria path.
+ * @method isExpression Checks if a given constraint value is an arithmetic expression.
+ * @method isValidPath Checks if a given string is a valid criteria path.
+ * @method isPlainPath Checks if a given string is a criteria path made of property names only.
+ * @method references Returns the ids of the rules referenced by a condition.
  * @method resolveNestedProperty Resolves a nested property from a string as an object path.
+ * @method toArray Returns the elements of an array or of a dw.util.Collection.
+ * @method unwrap Turns the values of SFCC API objects into plain values.
  */
 const ObjectDiscovery = Class.extend({
     conditionType(condition) {
@@ -53,15 +102,175 @@ const ObjectDiscovery = Class.extend({
     },
 
     /**
-     * Resolves a nested property from a sting as an object path.
+     * Checks if the object is a collection quantifier, e.g. {"collection": "basket.productLineItems", "quantifier": "some", "where": {...}}
+     * @param {unknown} obj
+     * @returns {boolean}
+     */
+    isQuantifier(obj) {
+        return !this.isObject(obj)
+            ? false
+            : 'collection' in obj && 'quantifier' in obj;
+    },
+
+    /**
+     * Checks if the constraint value is a reference to another criteria path, e.g. {"$field": "basket.total"}
+     * @param {unknown} obj
+     * @returns {boolean}
+     */
+    isFieldReference(obj) {
+        return this.isObject(obj) && '$field' in obj && Object.keys(obj).length === 1;
+    },
+
+    /**
+     * Checks if the constraint value is an arithmetic expression, e.g. {"$expr": "threshold * 2"}
+     * @param {unknown} obj
+     * @returns {boolean}
+     */
+    isExpression(obj) {
+        return this.isObject(obj) && '$expr' in obj && Object.keys(obj).length === 1;
+    },
+
+    /**
+     * Checks if the string is a valid criteria path, e.g. customer.profile.gender or basket.productLineItems[*].productID
+     * @param {unknown} path
+     * @returns {boolean}
+     */
+    isValidPath(path) {
+        return 'string' === typeof path && PATH.test(path);
+    },
+
+    /**
+     * Checks if the string is a criteria path without indexes or wildcards, e.g. customer.profile.gender
+     * @param {unknown} path
+     * @returns {boolean}
+     */
+    isPlainPath(path) {
+        return 'string' === typeof path && PLAIN_PATH.test(path);
+    },
+
+    /**
+     * Returns the ids of the rules referenced by the conditions, without expanding the references
+     * @param {unknown} conditions
+     * @returns {Array.<string>}
+     */
+    references(conditions) {
+        if (typeof conditions === 'string') {
+            return [conditions];
+        }
+
+        if (Array.isArray(conditions)) {
+            return conditions.reduce((ids, node) => ids.concat(this.references(node)), []);
+        }
+
+        if (this.isCondition(conditions)) {
+            return this.references(conditions[this.conditionType(conditions)]);
+        }
+
+        if (this.isQuantifier(conditions) && 'where' in conditions) {
+            return this.references(conditions.where);
+        }
+
+        return [];
+    },
+
+    /**
+     * Resolves a nested property from a string as an object path. Keys of a dw.util.Map resolve like properties, an
+     * index such as [0] picks an element of an array or a dw.util.Collection, and a wildcard [*] resolves the rest of the
+     * path for every element into an array. The value is unwrapped.
      * @param {string} path
      * @param {Object} obj
      * @returns {any}
      */
     resolveNestedProperty(path, obj) {
-        return path.split('.').reduce((prev, curr) => {
-            return prev ? prev[curr] : undefined;
-        }, obj);
+        return this.unwrap(this._resolveSegments(parsePath(path), 0, obj));
+    },
+
+    /**
+     * Returns the elements of an array or of a dw.util.Collection, null for any other value
+     * @param {unknown} value
+     * @returns {Array|null}
+     */
+    toArray(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+
+        return value instanceof dw.util.Collection ? Array.prototype.slice.call(value.toArray()) : null;
+    },
+
+    /**
+     * Turns the values of SFCC API objects into plain values: an EnumValue into its value, a Money or a Quantity into its
+     * number, null if it is not available, and a dw.util.Collection into an array.
+     * @param {unknown} value
+     * @returns {any}
+     */
+    unwrap(value) {
+        if (value === null || 'object' !== typeof value) {
+            return value;
+        }
+
+        if (value instanceof dw.value.EnumValue) {
+            return value.value;
+        }
+
+        if (value instanceof dw.value.Money || value instanceof dw.value.Quantity) {
+            return value.available ? value.value : null;
+        }
+
+        const elements = this.toArray(value);
+
+        return elements ? elements.map((element) => this.unwrap(element)) : value;
+    },
+
+    /**
+     * Resolves the segments of a path, starting at the given one.
+     * @param {Array.<Object>} segments
+     * @param {number} start
+     * @param {unknown} value
+     * @returns {any}
+     * @private
+     */
+    _resolveSegments(segments, start, value) {
+        for (let i = start; i < segments.length; i++) {
+            let segment = segments[i];
+
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+
+            if (segment.wildcard) {
+                let elements = this.toArray(value);
+                let flatten = segments.slice(i + 1).some((next) => next.wildcard);
+                let result = [];
+
+                if (!elements) {
+                    return undefined;
+                }
+
+                // elements which do not resolve are left out, nested wildcards give a single flat array
+                for (let element of elements) {
+                    let resolved = this._resolveSegments(segments, i + 1, element);
+
+                    if (resolved !== undefined) {
+                        result = result.concat(flatten ? resolved : [resolved]);
+                    }
+                }
+
+                return result;
+            }
+
+            if ('index' in segment) {
+                let elements = this.toArray(value);
+
+                value = elements ? elements[segment.index] : undefined;
+            } else if (value instanceof dw.util.Map) {
+                value = value.containsKey(segment.name) ? value.get(segment.name) : undefined;
+            } else {
+                value = value[segment.name];
+            }
+        }
+
+        return value;
     }
 });
 
@@ -0,0 +1,100 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+
+/**
+ * @typedef {import('./operator-definition.jsdoc').OperatorDefinition} OperatorDefinition
+ */
+
+/**
+ * @class
+ * @name OperatorRegistry
+ * @description A registry of the operators available to constraints. It drives both the validation and the evaluation
+ * of constraints, so an operator only needs to be registered once to be usable in a rule.
+ * @property {Object.<string, OperatorDefinition>} _operators - The registered operators by name.
+ * @property {Object.<string, string>} _aliases - The names of the registered operators by alias.
+ */
+const OperatorRegistry = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._operators = {};
+        this._aliases = {};
+    },
+
+    /**
+     * @method
+     * @name register
+     * @param {string} name - The name of the operator, as used in the "operator" of a constraint.
+     * @param {OperatorDefinition} definition - The definition of the operator.
+     * @description Registers an operator. Registering an operator under an existing name or alias replaces it.
+     */
+    register: function (name, definition) {
+        if ('string' !== typeof name || !name) {
+            throw new Error('The name of an operator must be a non empty string.');
+        }
+
+        if (!definition || 'function' !== typeof definition.evaluate) {
+            throw new Error(`The operator "${name}" must define an "evaluate" function.`);
+        }
+
+        const aliases = Array.isArray(definition.aliases) ? definition.aliases : [];
+
+        this._operators[name] = {
+            name: name,
+            evaluate: definition.evaluate,
+            validateValue: definition.validateValue,
+            aliases: aliases,
+            unary: definition.unary === true,
+            types: definition.types || null,
+            cost: 'number' === typeof definition.cost && definition.cost >= 0 ? definition.cost : 1,
+        };
+
+        delete this._aliases[name];
+
+        for (let alias of aliases) {
+            this._aliases[alias] = name;
+        }
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} name - The name or an alias of the operator.
+     * @returns {OperatorDefinition|null} - The definition of the operator, or null if it is not registered.
+     */
+    get: function (name) {
+        if (Object.prototype.hasOwnProperty.call(this._operators, name)) {
+            return this._operators[name];
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this._aliases, name)) {
+            return this._operators[this._aliases[name]];
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name has
+     * @param {string} name - The name or an alias of the operator.
+     * @returns {boolean} - Whether the operator is registered.
+     */
+    has: function (name) {
+        return this.get(name) !== null;
+    },
+
+    /**
+     * @method
+     * @name names
+     * @param {boolean} [withAliases] - Whether to include the aliases of the registered operators.
+     * @returns {Array.<string>} - The names of the registered operators.
+     */
+    names: function (withAliases) {
+        const names = Object.keys(this._operators);
+
+        return withAliases ? names.concat(Object.keys(this._aliases)) : names;
+    }
+});
+
+module.exports = OperatorRegistry;
@@ -0,0 +1,833 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const dates = require('~/cartridge/scripts/util/dates');
+const json = require('~/cartridge/scripts/util/json');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ * @typedef {import('./constraint.jsdoc').Constraint} Constraint
+ * @typedef {import('./condition.jsdoc').Condition} Condition
+ * @typedef {import('./quantifier.jsdoc').Quantifier} Quantifier
+ * @typedef {import('./OperatorRegistry')} OperatorRegistry
+ */
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} code - A stable code identifying the kind of finding, e.g. UNSATISFIABLE.
+ * @property {('warning' | 'info')} severity - Warnings point at conditions which do not do what they seem to, infos at
+ * nodes which can be simplified away.
+ * @property {string} message - A description of the finding.
+ * @property {string} pointer - The JSON pointer of the node in the rule, e.g. /conditions/0/all/3.
+ * @property {*} element - The node.
+ * @property {string} [related] - The JSON pointer of the node which makes this one redundant, e.g. the first of two
+ * duplicates.
+ */
+
+/**
+ * @typedef {Object} OverlapResult
+ * @property {boolean} overlaps - Whether some criteria may match both rules. False only when the analysis proves they
+ * cannot, e.g. because their schedules or their constraints on a field exclude each other.
+ * @property {Array.<{a: string, b: string}>} pairs - The JSON pointers of the root conditions of both rules which may
+ * match the same criteria.
+ * @property {Object} [error] - The validation error, if either rule is not valid. Only set by RulesEngine.
+ */
+
+/**
+ * A bound of the values of a field, from an ordered comparison.
+ * @typedef {Object} Bound
+ * @property {(number|string)} value - The value the field is compared with.
+ * @property {boolean} inclusive - Whether the value itself is within the bound.
+ */
+
+/**
+ * The values of a field which satisfy a set of constraints on it. A constraint is never met by a field the criteria do
+ * not hold, but the negation of one through "none" is.
+ * @typedef {Object} Domain
+ * @property {boolean} missing - Whether a missing field is in the domain.
+ * @property {Array|null} values - The only values in the domain, null if they are not enumerated.
+ * @property {Array.<Bound>} lower - The lower bounds of the values in the domain.
+ * @property {Array.<Bound>} upper - The upper bounds of the values in the domain.
+ * @property {Array} excluded - The values which are not in the domain.
+ */
+
+/**
+ * A necessary or a sufficient part of a node: a domain of a field, or a node the analysis cannot look into.
+ * @typedef {Object} Literal
+ * @property {string} [field] - The field the domain applies to.
+ * @property {Domain} [domain] - The values of the field which satisfy the literal.
+ * @property {string} [key] - The canonical JSON of an opaque node, e.g. a rule reference or a custom operator.
+ * @property {boolean} [negated] - Whether the opaque node must not match.
+ */
+
+// stands for the values which are empty without being null or an empty string, e.g. an empty array or collection
+const EMPTY = [];
+const EMPTIES = [null, '', EMPTY];
+const BOUNDS = {
+    'greater than': {side: 'lower', inclusive: false},
+    'greater than or equal': {side: 'lower', inclusive: true},
+    'less than': {side: 'upper', inclusive: false},
+    'less than or equal': {side: 'upper', inclusive: true},
+};
+
+/**
+ * @param {Object} parts - The parts of the domain which are not the defaults.
+ * @returns {Domain} - A domain, without the missing field and with any value unless the parts say otherwise.
+ */
+function domain(parts) {
+    return {
+        missing: parts.missing === true,
+        values: parts.values || null,
+        lower: parts.lower || [],
+        upper: parts.upper || [],
+        excluded: parts.excluded || [],
+    };
+}
+
+const UNIVERSE = domain({missing: true});
+
+/**
+ * @param {*} value
+ * @returns {boolean} - Whether the value is one the evaluation compares without converting it to an object.
+ */
+function isPrimitive(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Checks whether a present value is in a domain. The bounds compare it as the operators do, so strings and numbers
+ * convert as they would at evaluation.
+ * @param {Domain} target
+ * @param {*} value
+ * @returns {boolean}
+ */
+function contains(target, value) {
+    return (target.values === null || target.values.includes(value)) &&
+        !target.excluded.includes(value) &&
+        target.lower.every((bound) => (bound.inclusive ? value >= bound.value : value > bound.value)) &&
+        target.upper.every((bound) => (bound.inclusive ? value <= bound.value : value < bound.value));
+}
+
+/**
+ * @param {Domain} a
+ * @param {Domain} b
+ * @returns {Domain} - The values in both domains.
+ */
+function intersect(a, b) {
+    return {
+        missing: a.missing && b.missing,
+        values: a.values && b.values ? a.values.filter((value) => b.values.includes(value)) : a.values || b.values,
+        lower: a.lower.concat(b.lower),
+        upper: a.upper.concat(b.upper),
+        excluded: a.excluded.concat(b.excluded),
+    };
+}
+
+/**
+ * @param {Bound} bound
+ * @param {Bound} other - A bound on the same side.
+ * @param {boolean} lower - Whether both are lower bounds.
+ * @returns {boolean} - Whether every value within the bound is within the other. Bounds of different types are never
+ * compared, as a string and a number do not order the same values.
+ */
+function isTighter(bound, other, lower) {
+    if (typeof bound.value !== typeof other.value) {
+        return false;
+    }
+
+    if (bound.value === other.value) {
+        return other.inclusive || !bound.inclusive;
+    }
+
+    return lower ? bound.value > other.value : bound.value < other.value;
+}
+
+/**
+ * @param {Domain} target
+ * @returns {boolean} - Whether no criteria are in the domain.
+ */
+function isEmpty(target) {
+    if (target.missing) {
+        return false;
+    }
+
+    if (target.values) {
+        return !target.values.some((value) => contains(target, value));
+    }
+
+    return target.lower.some((lower) => target.upper.some((upper) => typeof lower.value === typeof upper.value &&
+        (lower.value > upper.value || (lower.value === upper.value && !(lower.inclusive && upper.inclusive)))));
+}
+
+/**
+ * @param {Domain} a
+ * @param {Domain} b
+ * @returns {boolean} - Whether every criteria in the first domain are in the second one, i.e. the first implies it.
+ * False when the analysis cannot tell.
+ */
+function isSubset(a, b) {
+    if (isEmpty(a)) {
+        return true;
+    }
+
+    if (a.missing && !b.missing) {
+        return false;
+    }
+
+    if (a.values) {
+        return a.values.every((value) => !contains(a, value) || contains(b, value));
+    }
+
+    return b.values === null &&
+        b.lower.every((bound) => a.lower.some((other) => isTighter(other, bound, true))) &&
+        b.upper.every((bound) => a.upper.some((other) => isTighter(other, bound, false))) &&
+        b.excluded.every((value) => !contains(a, value));
+}
+
+/**
+ * @param {Domain} target
+ * @returns {Domain|null} - The criteria which are not in the domain, or null if they cannot be told exactly. The
+ * negation of a bound also holds the values which do not compare with it, e.g. strings which are not numbers.
+ */
+function complement(target) {
+    if (target.lower.length || target.upper.length || (target.values && target.excluded.length)) {
+        return null;
+    }
+
+    return target.values
+        ? domain({missing: !target.missing, excluded: target.values})
+        : domain({missing: !target.missing, values: target.excluded});
+}
+
+/**
+ * @param {Array.<Literal>} literals
+ * @returns {Object.<string, Array.<Domain>>} - The domains of the literals by field.
+ */
+function byField(literals) {
+    const fields = {};
+
+    for (let literal of literals) {
+        if (literal.domain) {
+            (fields[literal.field] = fields[literal.field] || []).push(literal.domain);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * @param {Array.<Literal>} literals
+ * @returns {boolean} - Whether an opaque node is both required to match and not to.
+ */
+function hasOpposites(literals) {
+    return literals.some((literal) => literal.key && literals.some((other) => other.key === literal.key && other.negated !== literal.negated));
+}
+
+/**
+ * @param {Array.<Literal>} literals - Literals which must all hold.
+ * @returns {boolean} - Whether they can never hold together.
+ */
+function isContradiction(literals) {
+    const fields = byField(literals);
+
+    return hasOpposites(literals) || Object.keys(fields).some((field) => isEmpty(fields[field].reduce(intersect)));
+}
+
+/**
+ * @param {Array.<Literal>} literals - Literals any of which is enough.
+ * @returns {boolean} - Whether one of them always holds.
+ */
+function isTautology(literals) {
+    const fields = byField(literals);
+
+    return hasOpposites(literals) || Object.keys(fields).some((field) => fields[field].some((a, i) => isSubset(UNIVERSE, a) ||
+        fields[field].some((b, j) => i !== j && complement(a) !== null && isSubset(complement(a), b))));
+}
+
+/**
+ * @returns {Condition} - A condition which never matches.
+ */
+function never() {
+    return {any: []};
+}
+
+/**
+ * @returns {Condition} - A condition which always matches.
+ */
+function always() {
+    return {all: []};
+}
+
+/**
+ * @class
+ * @name RuleAnalyzer
+ * @description Analyzes the conditions of valid rules without evaluating them. It reasons on the values each field can
+ * take, so it finds the conditions which can never match or always match, the nodes which are duplicated or implied by
+ * their siblings, and it rewrites a rule into a simpler equivalent one. The equality, membership, ordered comparison and
+ * existence operators are understood; the other nodes, including rule references and collection quantifiers, are only
+ * compared with each other as a whole.
+ * @property {OperatorRegistry} _operators - The operators available to constraints.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ */
+const RuleAnalyzer = Class.extend({
+    /**
+     * @constructor
+     * @param {OperatorRegistry} operators - The operators available to constraints.
+     */
+    init: function (operators) {
+        this._operators = operators;
+        this._objectDiscovery = new ObjectDiscovery();
+    },
+
+    /**
+     * @method
+     * @name analyze
+     * @param {Rule} rule - A valid rule.
+     * @returns {Array.<Finding>} - The findings, in the order of the rule.
+     * @description Reports the conditions and constraints which can never match or always match, the root conditions
+     * they make unreachable, and the nodes which simplify away: duplicates, constraints subsumed by a sibling and
+     * groups which flatten into their parent.
+     */
+    analyze: function (rule) {
+        const findings = [];
+        const isList = rule.conditions instanceof Array;
+        const conditions = isList ? rule.conditions : [rule.conditions];
+        let matched = null;
+
+        conditions.forEach((condition, index) => {
+            let pointer = isList ? json.pointerTo('/conditions', index) : '/conditions';
+
+            if (matched !== null) {
+                this._report(findings, 'warning', 'UNREACHABLE_CONDITION', `The root condition is never reached, ${matched} always matches.`, condition, pointer);
+                return;
+            }
+
+            this._analyzeNode(condition, pointer, findings);
+
+            if (this._truth(condition) === 'always') {
+                matched = pointer;
+            }
+        });
+
+        if (matched !== null && 'default' in rule) {
+            this._report(findings, 'warning', 'UNREACHABLE_DEFAULT', `The default is never used, ${matched} always matches.`, rule.default, '/default');
+        }
+
+        return findings;
+    },
+
+    /**
+     * @method
+     * @name simplify
+     * @param {Rule} rule - A valid rule.
+     * @returns {Rule} - A copy of the rule which decides the same for any criteria, with the operator aliases replaced by
+     * their names, nested groups flattened and the redundant nodes, root conditions and default removed. A group which
+     * always matches becomes {"all": []} and one which never does {"any": []}.
+     */
+    simplify: function (rule) {
+        const isList = rule.conditions instanceof Array;
+        const conditions = [];
+        const simplified = {};
+        let matched = false;
+
+        for (let condition of isList ? rule.conditions : [rule.conditions]) {
+            let root = this._simplifyCondition(condition);
+            let truth = this._truth(root);
+
+            if ('result' in condition) {
+                root.result = condition.result;
+            }
+
+            if (truth !== 'never') {
+                conditions.push(root);
+            }
+
+            // the root conditions after one which always matches are never reached
+            if (truth === 'always') {
+                matched = true;
+                break;
+            }
+        }
+
+        if (!conditions.length) {
+            conditions.push(never());
+        }
+
+        for (let key of Object.keys(rule)) {
+            if (key !== 'conditions' && !(key === 'default' && matched)) {
+                simplified[key] = rule[key];
+            }
+        }
+
+        simplified.conditions = isList ? conditions : conditions[0];
+
+        return simplified;
+    },
+
+    /**
+     * @method
+     * @name overlap
+     * @param {Rule} a - A valid rule.
+     * @param {Rule} b - Another valid rule.
+     * @returns {OverlapResult}
+     * @description Tells whether two rules may match the same criteria, e.g. to find the campaigns competing for the
+     * same customers. The rules are compared as they are: their references are not expanded and being enabled or not
+     * is ignored, but rules whose schedules do not overlap never match together.
+     */
+    overlap: function (a, b) {
+        const pairs = [];
+
+        if (!this._schedulesOverlap(a, b)) {
+            return {overlaps: false, pairs: pairs};
+        }
+
+        const rootsA = a.conditions instanceof Array ? a.conditions : [a.conditions];
+        const rootsB = b.conditions instanceof Array ? b.conditions : [b.conditions];
+
+        rootsA.forEach((rootA, i) => {
+            rootsB.forEach((rootB, j) => {
+                if (this._truth({all: [rootA, rootB]}) !== 'never') {
+                    pairs.push({
+                        a: a.conditions instanceof Array ? json.pointerTo('/conditions', i) : '/conditions',
+                        b: b.conditions instanceof Array ? json.pointerTo('/conditions', j) : '/conditions',
+                    });
+                }
+            });
+        });
+
+        return {overlaps: pairs.length > 0, pairs: pairs};
+    },
+
+    /**
+     * @method
+     * @name _schedulesOverlap
+     * @param {Rule} a
+     * @param {Rule} b
+     * @returns {boolean} - Whether the schedule windows of the rules share some time. The end dates are exclusive.
+     * @private
+     */
+    _schedulesOverlap: function (a, b) {
+        const time = (value) => {
+            let date = value !== undefined && value !== null ? dates.toDate(value) : null;
+
+            return date ? date.getTime() : null;
+        };
+        const endsBefore = (first, second) => time(first.endDate) !== null && time(second.startDate) !== null &&
+            time(first.endDate) <= time(second.startDate);
+
+        return !endsBefore(a, b) && !endsBefore(b, a);
+    },
+
+    /**
+     * @method
+     * @name _analyzeNode
+     * @param {Condition|Constraint|Quantifier|string} node - A node of the rule.
+     * @param {string} pointer - The JSON pointer of the node.
+     * @param {Array.<Finding>} findings - Collects the findings.
+     * @private
+     */
+    _analyzeNode: function (node, pointer, findings) {
+        if (this._objectDiscovery.isCondition(node)) {
+            this._analyzeCondition(node, pointer, findings);
+        } else if (this._objectDiscovery.isQuantifier(node)) {
+            if (this._objectDiscovery.isCondition(node.where)) {
+                this._analyzeCondition(node.where, json.pointerTo(pointer, 'where'), findings);
+            }
+        } else if (this._objectDiscovery.isConstraint(node)) {
+            let values = this._domain(node);
+
+            if (values && isEmpty(values)) {
+                this._report(findings, 'warning', 'UNSATISFIABLE', 'The constraint can never match.', node, pointer);
+            }
+        }
+    },
+
+    /**
+     * @method
+     * @name _analyzeCondition
+     * @param {Condition} condition - A condition of the rule.
+     * @param {string} pointer - The JSON pointer of the condition.
+     * @param {Array.<Finding>} findings - Collects the findings.
+     * @private
+     */
+    _analyzeCondition: function (condition, pointer, findings) {
+        const type = this._objectDiscovery.conditionType(condition);
+        const nodes = condition[type];
+        const pointers = nodes.map((node, index) => json.pointerTo(json.pointerTo(pointer, type), index));
+        const keys = nodes.map((node) => this._key(node));
+        const subsumed = {};
+
+        // a condition whose outcome follows from the outcome of its nodes is reported through them
+        if (this._derive(type, nodes.map((node) => this._truth(node))) === null) {
+            if (isContradiction(this._literals(condition, false, true))) {
+                this._report(findings, 'warning', 'UNSATISFIABLE', `The condition '${type}' can never match, its nodes contradict each other.`, condition, pointer);
+            } else if (isTautology(this._literals(condition, false, false))) {
+                this._report(findings, 'warning', 'ALWAYS_TRUE', `The condition '${type}' always matches, its nodes cover every criteria.`, condition, pointer);
+            }
+        }
+
+        this._subsumed(type, nodes).forEach((entry) => {
+            subsumed[entry.index] = entry.by;
+        });
+
+        nodes.forEach((node, index) => {
+            let first = keys.indexOf(keys[index]);
+
+            if (first !== index) {
+                this._report(findings, 'info', 'DUPLICATE_NODE', `The node repeats ${pointers[first]}.`, node, pointers[index], pointers[first]);
+            } else if (index in subsumed) {
+                this._report(findings, 'info', 'SUBSUMED_CONSTRAINT', type === 'all'
+                    ? `The constraint is implied by ${pointers[subsumed[index]]}.`
+                    : `The constraint implies ${pointers[subsumed[index]]}, which already covers it.`, node, pointers[index], pointers[subsumed[index]]);
+            } else if (this._objectDiscovery.isCondition(node) && this._flattens(type, node)) {
+                let inner = this._objectDiscovery.conditionType(node);
+
+                this._report(findings, 'info', 'FLATTENABLE_GROUP', node[inner].length === 1
+                    ? `The condition '${inner}' has a single node, which can replace it.`
+                    : `The condition '${inner}' can be merged into the '${type}' it is in.`, node, pointers[index]);
+            }
+
+            this._analyzeNode(node, pointers[index], findings);
+        });
+    },
+
+    /**
+     * @method
+     * @name _flattens
+     * @param {string} type - The type of a condition.
+     * @param {Condition} node - A condition among its nodes.
+     * @returns {boolean} - Whether the nodes of the inner condition can replace it: it is of the same type, except for
+     * "none", or it is an "all" or an "any" with a single node.
+     * @private
+     */
+    _flattens: function (type, node) {
+        const inner = this._objectDiscovery.conditionType(node);
+
+        return inner !== 'none' && (inner === type || node[inner].length === 1);
+    },
+
+    /**
+     * @method
+     * @name _subsumed
+     * @param {string} type - The type of a condition.
+     * @param {Array} nodes - The nodes of the condition.
+     * @returns {Array.<{index: number, by: number}>} - The constraints which can be removed without changing the outcome
+     * of the condition, with a constraint which makes them redundant. Under "all" the constraints implied by another are
+     * redundant, under "any" and "none" the ones implying another. Of equivalent constraints, the first one is kept.
+     * @private
+     */
+    _subsumed: function (type, nodes) {
+        const domains = nodes.map((node) => (this._objectDiscovery.isConstraint(node) ? this._domain(node) : null));
+        const implies = type === 'all'
+            ? (i, j) => isSubset(domains[j], domains[i])
+            : (i, j) => isSubset(domains[i], domains[j]);
+        const subsumed = [];
+
+        domains.forEach((values, i) => {
+            let by = values ? domains.findIndex((other, j) => other && j !== i && nodes[j].field === nodes[i].field &&
+                implies(i, j) && (j < i || !implies(j, i))) : -1;
+
+            if (by !== -1) {
+                subsumed.push({index: i, by: by});
+            }
+        });
+
+        return subsumed;
+    },
+
+    /**
+     * @method
+     * @name _simplifyNode
+     * @param {Condition|Constraint|Quantifier|string} node - A node of a valid rule.
+     * @returns {Condition|Constraint|Quantifier|string} - The simplified node.
+     * @private
+     */
+    _simplifyNode: function (node) {
+        if (this._objectDiscovery.isCondition(node)) {
+            return this._simplifyCondition(node);
+        }
+
+        if (this._objectDiscovery.isQuantifier(node)) {
+            let quantifier = {};
+
+            for (let key of Object.keys(node)) {
+                quantifier[key] = key === 'where' ? node.where : this._normalize(node[key]);
+            }
+
+            if (this._objectDiscovery.isCondition(node.where)) {
+                quantifier.where = this._simplifyCondition(node.where);
+
+                // every item matches a "where" which is omitted
+                if (this._truth(quantifier.where) === 'always') {
+                    delete quantifier.where;
+                }
+            }
+
+            return quantifier;
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            return this._normalize(node);
+        }
+
+        return node;
+    },
+
+    /**
+     * @method
+     * @name _simplifyCondition
+     * @param {Condition} condition - A condition of a valid rule.
+     * @returns {Condition} - The simplified condition, without its result.
+     * @private
+     */
+    _simplifyCondition: function (condition) {
+        const type = this._objectDiscovery.conditionType(condition);
+        let nodes = [];
+
+        for (let node of condition[type]) {
+            let simplified = this._simplifyNode(node);
+
+            if (this._objectDiscovery.isCondition(simplified) && this._flattens(type, simplified)) {
+                nodes = nodes.concat(simplified[this._objectDiscovery.conditionType(simplified)]);
+            } else {
+                nodes.push(simplified);
+            }
+        }
+
+        const truths = nodes.map((node) => this._truth(node));
+
+        // a node which always matches decides "any" and "none", one which never does decides "all"
+        if (truths.includes(type === 'all' ? 'never' : 'always')) {
+            return type === 'any' ? always() : never();
+        }
+
+        const neutral = type === 'all' ? 'always' : 'never';
+        const keys = [];
+
+        nodes = nodes.filter((node, index) => {
+            let key = this._key(node);
+
+            if (truths[index] === neutral || keys.includes(key)) {
+                return false;
+            }
+
+            keys.push(key);
+            return true;
+        });
+
+        const redundant = this._subsumed(type, nodes).map((entry) => entry.index);
+        const result = {};
+
+        result[type] = nodes.filter((node, index) => !redundant.includes(index));
+
+        const truth = this._truth(result);
+
+        if (truth === 'never') {
+            return never();
+        }
+
+        return truth === 'always' ? always() : result;
+    },
+
+    /**
+     * @method
+     * @name _truth
+     * @param {Condition|Constraint|Quantifier|string} node - A node of a valid rule.
+     * @returns {('never' | 'always' | null)} - Whether the node never matches or always matches, null if it depends on
+     * the criteria or the analysis cannot tell.
+     * @private
+     */
+    _truth: function (node) {
+        if (this._objectDiscovery.isCondition(node)) {
+            let type = this._objectDiscovery.conditionType(node);
+            let derived = this._derive(type, node[type].map((child) => this._truth(child)));
+
+            if (derived !== null) {
+                return derived;
+            }
+
+            if (isContradiction(this._literals(node, false, true))) {
+                return 'never';
+            }
+
+            return isTautology(this._literals(node, false, false)) ? 'always' : null;
+        }
+
+        // some item must match, so a "where" which never matches makes "some" never match
+        if (this._objectDiscovery.isQuantifier(node)) {
+            return node.quantifier === 'some' && 'where' in node && this._truth(node.where) === 'never' ? 'never' : null;
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            let values = this._domain(node);
+
+            return values && isEmpty(values) ? 'never' : null;
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name _derive
+     * @param {string} type - The type of a condition.
+     * @param {Array.<('never' | 'always' | null)>} truths - The truths of its nodes.
+     * @returns {('never' | 'always' | null)} - The truth of the condition which follows from them, if any.
+     * @private
+     */
+    _derive: function (type, truths) {
+        const every = (truth) => truths.every((t) => t === truth);
+
+        if (type === 'all') {
+            return truths.includes('never') ? 'never' : every('always') ? 'always' : null;
+        }
+
+        if (type === 'any') {
+            return truths.includes('always') ? 'always' : every('never') ? 'never' : null;
+        }
+
+        return truths.includes('always') ? 'never' : every('never') ? 'always' : null;
+    },
+
+    /**
+     * @method
+     * @name _literals
+     * @param {Condition|Constraint|Quantifier|string} node - A node of a valid rule.
+     * @param {boolean} negated - Whether the node is negated, i.e. under a "none".
+     * @param {boolean} conjunctive - Whether to collect literals the node implies, or literals implying it.
+     * @returns {Array.<Literal>} - Literals which all hold when the node matches, if conjunctive, or any of which makes
+     * it match otherwise. A part the analysis cannot break down is left out.
+     * @private
+     */
+    _literals: function (node, negated, conjunctive) {
+        if (this._objectDiscovery.isCondition(node)) {
+            let type = this._objectDiscovery.conditionType(node);
+            // "all" joins its nodes with an and, "any" with an or, "none" joins their negations with an and
+            let isAnd = (type === 'any') === negated;
+            let negatesNodes = negated !== (type === 'none');
+
+            if (isAnd === conjunctive) {
+                return node[type].reduce((literals, child) => literals.concat(this._literals(child, negatesNodes, conjunctive)), []);
+            }
+
+            // the nodes which cannot change the outcome of the join are left out, so a single node may remain
+            let neutral = isAnd === negatesNodes ? 'never' : 'always';
+            let nodes = node[type].filter((child) => this._truth(child) !== neutral);
+
+            return nodes.length === 1 ? this._literals(nodes[0], negatesNodes, conjunctive) : [];
+        }
+
+        const values = this._objectDiscovery.isConstraint(node) ? this._domain(node) : null;
+        const literal = values && negated ? complement(values) : values;
+
+        return [literal ? {field: node.field, domain: literal} : {key: this._key(node), negated: negated}];
+    },
+
+    /**
+     * @method
+     * @name _domain
+     * @param {Constraint} constraint - A constraint of a valid rule.
+     * @returns {Domain|null} - The values of the field which meet the constraint, or null if the analysis does not
+     * understand its operator or its value.
+     * @private
+     */
+    _domain: function (constraint) {
+        const operator = this._operators.get(constraint.operator);
+        const value = constraint.value;
+
+        if (!operator || this._objectDiscovery.isFieldReference(value) || this._objectDiscovery.isExpression(value)) {
+            return null;
+        }
+
+        switch (operator.name) {
+            case 'equals':
+                return isPrimitive(value) ? domain({values: [value]}) : null;
+            case 'does not equal':
+                return isPrimitive(value) ? domain({excluded: [value]}) : null;
+            case 'in':
+                return Array.isArray(value) && value.every(isPrimitive) ? domain({values: value}) : null;
+            case 'not in':
+                return Array.isArray(value) && value.every(isPrimitive) ? domain({excluded: value}) : null;
+            case 'exists':
+                return domain({excluded: EMPTIES});
+            case 'does not exist':
+                return domain({values: EMPTIES});
+            default:
+                break;
+        }
+
+        const bound = BOUNDS[operator.name];
+
+        if (!bound || !['number', 'string'].includes(typeof value) || (typeof value === 'number' && !isFinite(value))) {
+            return null;
+        }
+
+        const parts = {};
+
+        parts[bound.side] = [{value: value, inclusive: bound.inclusive}];
+
+        return domain(parts);
+    },
+
+    /**
+     * @method
+     * @name _key
+     * @param {Condition|Constraint|Quantifier|string} node - A node of a valid rule.
+     * @returns {string} - The canonical JSON of the node, with the operator aliases replaced by their names, so equal
+     * nodes have the same key.
+     * @private
+     */
+    _key: function (node) {
+        return json.canonical(this._normalize(node));
+    },
+
+    /**
+     * @method
+     * @name _normalize
+     * @param {*} node - A node of a valid rule, or a part of one.
+     * @returns {*} - A copy of the node with the operator aliases replaced by their names.
+     * @private
+     */
+    _normalize: function (node) {
+        if (Array.isArray(node)) {
+            return node.map((child) => this._normalize(child));
+        }
+
+        if (!this._objectDiscovery.isObject(node)) {
+            return node;
+        }
+
+        const normalized = {};
+
+        for (let key of Object.keys(node)) {
+            let operator = key === 'operator' ? this._operators.get(node.operator) : null;
+
+            normalized[key] = operator ? operator.name : this._normalize(node[key]);
+        }
+
+        return normalized;
+    },
+
+    /**
+     * @method
+     * @name _report
+     * @param {Array.<Finding>} findings - Collects the findings.
+     * @param {('warning' | 'info')} severity
+     * @param {string} code
+     * @param {string} message
+     * @param {*} element
+     * @param {string} pointer
+     * @param {string} [related]
+     * @private
+     */
+    _report: function (findings, severity, code, message, element, pointer, related) {
+        const finding = {code: code, severity: severity, message: message, pointer: pointer, element: element};
+
+        if (related) {
+            finding.related = related;
+        }
+
+        findings.push(finding);
+    }
+});
+
+module.exports = RuleAnalyzer;
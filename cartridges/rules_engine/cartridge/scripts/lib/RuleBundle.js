@@ -0,0 +1,179 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const dates = require('~/cartridge/scripts/util/dates');
+const json = require('~/cartridge/scripts/util/json');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ * @typedef {import('./RuleRepository')} RuleRepository
+ */
+
+/**
+ * @typedef {Object} Bundle
+ * @property {string} format - Always "rules-engine-bundle".
+ * @property {number} version - The version of the bundle format.
+ * @property {string} exportedAt - When the bundle was exported, as an ISO 8601 date.
+ * @property {Array.<Rule>} rules - The rules of the bundle, without their last modification.
+ */
+
+/**
+ * @typedef {Object} BundleDiff
+ * @property {Array.<string>} additions - The ids of the rules of the bundle which are not stored yet.
+ * @property {Array.<{id: string, fields: Array.<string>}>} changes - The rules of the bundle which differ from the
+ * stored ones, with the fields which differ.
+ * @property {Array.<string>} unchanged - The ids of the rules of the bundle which are stored as they are.
+ * @property {Array.<string>} deletions - The ids of the stored rules which are not part of the bundle, if they are to
+ * be deleted.
+ */
+
+const FORMAT = 'rules-engine-bundle';
+const VERSION = 1;
+const FIELDS = ['label', 'description', 'context', 'conditions', 'default', 'enabled', 'startDate', 'endDate', 'priority', 'tags', 'clientFields', 'tests', 'actions'];
+
+/**
+ * @class
+ * @name RuleBundle
+ * @description Creates, parses and compares the versioned JSON bundles used to promote rules between instances, since
+ * the Rule custom objects are not replicated.
+ * @property {RuleRepository} _repository - The repository the stored rules are loaded from.
+ */
+const RuleBundle = Class.extend({
+    /**
+     * @constructor
+     * @param {RuleRepository} repository - The repository the stored rules are loaded from.
+     */
+    init: function (repository) {
+        this._repository = repository;
+    },
+
+    /**
+     * @method
+     * @name create
+     * @param {Array.<Rule>} rules - The rules to export.
+     * @returns {Bundle}
+     */
+    create: function (rules) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            rules: rules.map((rule) => this.normalize(rule)),
+        };
+    },
+
+    /**
+     * @method
+     * @name parse
+     * @param {string} text - The content of a bundle file.
+     * @returns {{bundle: Bundle}|{error: string}} - The bundle, or why it cannot be imported.
+     */
+    parse: function (text) {
+        let bundle;
+
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            return {error: `The bundle is not valid JSON: ${e.message}`};
+        }
+
+        if (!bundle || bundle.format !== FORMAT || !(bundle.rules instanceof Array)) {
+            return {error: 'The file is not a rules engine bundle.'};
+        }
+
+        if ('number' !== typeof bundle.version || bundle.version > VERSION) {
+            return {error: `The bundle has version ${bundle.version}, this instance supports up to version ${VERSION}.`};
+        }
+
+        const ids = {};
+
+        for (let rule of bundle.rules) {
+            if (!rule || 'string' !== typeof rule.id || !rule.id) {
+                return {error: 'Every rule of the bundle must have an id.'};
+            }
+
+            if (ids[rule.id]) {
+                return {error: `The bundle holds the rule ${rule.id} more than once.`};
+            }
+
+            ids[rule.id] = true;
+        }
+
+        return {bundle: bundle};
+    },
+
+    /**
+     * @method
+     * @name diff
+     * @param {Bundle} bundle - The bundle to compare with the stored rules.
+     * @param {boolean} [deleteMissing] - Whether the stored rules which are not part of the bundle are to be deleted.
+     * @returns {BundleDiff}
+     */
+    diff: function (bundle, deleteMissing) {
+        const result = {additions: [], changes: [], unchanged: [], deletions: []};
+        const ids = {};
+
+        for (let rule of bundle.rules) {
+            let stored = this._repository.get(rule.id);
+
+            ids[rule.id] = true;
+
+            if (!stored) {
+                result.additions.push(rule.id);
+                continue;
+            }
+
+            let current = this.normalize(stored);
+            let incoming = this.normalize(rule);
+            let fields = FIELDS.filter((field) => json.canonical(current[field]) !== json.canonical(incoming[field]));
+
+            if (fields.length) {
+                result.changes.push({id: rule.id, fields: fields});
+            } else {
+                result.unchanged.push(rule.id);
+            }
+        }
+
+        if (deleteMissing) {
+            result.deletions = this._repository.ids().filter((id) => !ids[id]);
+        }
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name normalize
+     * @param {Rule} rule
+     * @returns {Rule} - The rule as it is exported, with the defaults of the stored rules and the dates as ISO 8601
+     * dates, so an exported rule and a stored rule can be compared.
+     */
+    normalize: function (rule) {
+        const toISO = (value) => {
+            const date = value !== undefined && value !== null && value !== '' ? dates.toDate(value) : null;
+
+            return date ? date.toISOString() : null;
+        };
+        const normalized = {
+            id: rule.id,
+            label: rule.label || null,
+            description: rule.description || null,
+            context: rule.context || null,
+            conditions: rule.conditions,
+            enabled: rule.enabled !== false,
+            startDate: toISO(rule.startDate),
+            endDate: toISO(rule.endDate),
+            priority: rule.priority || 0,
+            tags: rule.tags || [],
+            clientFields: rule.clientFields || [],
+            tests: rule.tests || [],
+            actions: rule.actions || [],
+        };
+
+        if ('default' in rule) {
+            normalized.default = rule.default;
+        }
+
+        return normalized;
+    }
+});
+
+module.exports = RuleBundle;
@@ -0,0 +1,750 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const constants = require('~/cartridge/scripts/util/constants');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ * @typedef {import('./condition.jsdoc').Condition} Condition
+ * @typedef {import('./constraint.jsdoc').Constraint} Constraint
+ * @typedef {import('./quantifier.jsdoc').Quantifier} Quantifier
+ * @typedef {import('./OperatorRegistry')} OperatorRegistry
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {('word' | 'string' | 'number' | 'reference' | 'symbol' | 'punct' | 'eof')} type - The type of the token.
+ * @property {string} text - The source text of the token.
+ * @property {*} value - The value of the token.
+ * @property {number} line - The line the token starts on, starting at 1.
+ * @property {number} column - The column the token starts on, starting at 1.
+ */
+
+const WORD = /^[A-Za-z_$][\w$]*(?:\[(?:\d+|\*)\])*(?:\.[A-Za-z_$][\w$]*(?:\[(?:\d+|\*)\])*)*/;
+const NUMBER = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/;
+const SYMBOL = /^[=!<>^~|&]+/;
+const REFERENCE = /^[\w\-.]+/;
+const PUNCTUATION = '()[]{},:;@';
+const ESCAPES = {b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'};
+const GROUPS = ['all', 'any', 'none'];
+const LITERALS = {true: true, false: false, null: null};
+const MAX_LINE_LENGTH = 100;
+
+/**
+ * @param {string} message - What went wrong.
+ * @param {Token} token - The token where it went wrong.
+ * @returns {Error} - An error carrying the line and column of the token.
+ */
+function syntaxError(message, token) {
+    const error = new Error(`${message} at line ${token.line}, column ${token.column}.`);
+
+    error.name = 'RuleSyntaxError';
+    error.line = token.line;
+    error.column = token.column;
+
+    return error;
+}
+
+/**
+ * @param {Token} token - The token to describe.
+ * @returns {string} - A description of the token for error messages.
+ */
+function describe(token) {
+    return token.type === 'eof' ? 'end of input' : `'${token.text}'`;
+}
+
+/**
+ * @param {string} text - The source text.
+ * @param {number} start - The index of the opening quote.
+ * @returns {{value: string, length: number}|null} - The string and its length in the source, or null if it is not
+ * terminated on the same line.
+ */
+function readString(text, start) {
+    const quote = text.charAt(start);
+    let value = '';
+    let i = start + 1;
+
+    while (i < text.length) {
+        let c = text.charAt(i);
+
+        if (c === quote) {
+            return {value: value, length: i - start + 1};
+        }
+
+        if (c === '\n') {
+            break;
+        }
+
+        if (c === '\\') {
+            let escaped = text.charAt(i + 1);
+
+            if (escaped === 'u') {
+                value += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+                i += 6;
+            } else {
+                value += escaped in ESCAPES ? ESCAPES[escaped] : escaped;
+                i += 2;
+            }
+
+            continue;
+        }
+
+        value += c;
+        i++;
+    }
+
+    return null;
+}
+
+/**
+ * @param {string} text - The source text.
+ * @returns {Array.<Token>} - The tokens of the source text, ending with an "eof" token.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let column = 1;
+    let i = 0;
+
+    while (i < text.length) {
+        let c = text.charAt(i);
+        let rest = text.slice(i);
+        let token = {line: line, column: column};
+        let match;
+        let length;
+
+        if (/\s/.test(c)) {
+            length = 1;
+        } else if ((match = NUMBER.exec(rest))) {
+            token.type = 'number';
+            token.value = Number(match[0]);
+            length = match[0].length;
+        } else if ((match = WORD.exec(rest))) {
+            token.type = 'word';
+            token.value = match[0];
+            length = match[0].length;
+        } else if (c === '"' || c === '\'') {
+            let string = readString(text, i);
+
+            if (!string) {
+                throw syntaxError('Unterminated string', token);
+            }
+
+            token.type = 'string';
+            token.value = string.value;
+            length = string.length;
+        } else if (c === '@' && (match = REFERENCE.exec(rest.slice(1)))) {
+            token.type = 'reference';
+            token.value = match[0];
+            length = match[0].length + 1;
+        } else if ((match = SYMBOL.exec(rest))) {
+            token.type = 'symbol';
+            token.value = match[0];
+            length = match[0].length;
+        } else if (PUNCTUATION.includes(c)) {
+            token.type = 'punct';
+            token.value = c;
+            length = 1;
+        } else {
+            throw syntaxError(`Unexpected character '${c}'`, token);
+        }
+
+        if (token.type) {
+            token.text = text.substr(i, length);
+            tokens.push(token);
+        }
+
+        for (let end = i + length; i < end; i++) {
+            if (text.charAt(i) === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+    }
+
+    tokens.push({type: 'eof', text: '', line: line, column: column});
+
+    return tokens;
+}
+
+/**
+ * @class
+ * @name RuleExpression
+ * @description Parses rules written in a compact text syntax into the condition/constraint JSON used by the engine,
+ * and prints stored rules back into that syntax. For example:
+ *
+ *     all(customer.authenticated equals true, gender in [1, 2], not any(@otherRuleId, age < 18)) => "banner-a"
+ *     default => "banner-b"
+ *
+ * Each line (or each part separated by ";") is a root condition, optionally followed by "=>" and its result. The last
+ * line can be the default of the rule. Collection quantifiers name the collection, then the nodes each item is matched
+ * against, e.g. some(basket.productLineItems: categoryID equals "shoes", quantity >= 2) or
+ * count(basket.productLineItems: inStock equals false) < 2.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ * @property {OperatorRegistry} _operators - The operators available to constraints.
+ */
+const RuleExpression = Class.extend({
+    /**
+     * @constructor
+     * @param {OperatorRegistry} operators - The operators available to constraints.
+     */
+    init: function (operators) {
+        this._objectDiscovery = new ObjectDiscovery();
+        this._operators = operators;
+    },
+
+    /**
+     * @method
+     * @name parse
+     * @param {string} text - The rule in the text syntax.
+     * @returns {Rule} - The rule, with its conditions and its default if one is given.
+     * @throws {Error} - A RuleSyntaxError with the line and column of the problem if the text is not valid.
+     */
+    parse: function (text) {
+        const state = {
+            tokens: tokenize(text),
+            pos: 0,
+            operators: this._operators.names(true).map((name) => ({
+                name: name,
+                tokens: tokenize(name).slice(0, -1),
+            })),
+        };
+        const conditions = [];
+        const rule = {};
+        let separated = true;
+
+        while (this._peek(state).type !== 'eof') {
+            let token = this._peek(state);
+
+            // Root conditions are separated by a semicolon or a line break.
+            if (this._is(token, 'punct', ';')) {
+                this._next(state);
+                separated = true;
+                continue;
+            }
+
+            if (!separated && token.line === state.tokens[state.pos - 1].line) {
+                throw syntaxError(`Expected ';' or a line break before ${describe(token)}`, token);
+            }
+
+            separated = false;
+
+            if ('default' in rule) {
+                throw syntaxError('The default must be the last part of a rule', token);
+            }
+
+            if (this._is(token, 'word', 'default') && this._is(this._peek(state, 1), 'symbol', '=>')) {
+                this._next(state);
+                this._next(state);
+                rule.default = this._parseValue(state);
+                continue;
+            }
+
+            let condition = this._parseExpression(state);
+
+            // A root node must be a condition or a reference to another rule.
+            if (this._objectDiscovery.isConstraint(condition) || this._objectDiscovery.isQuantifier(condition)) {
+                condition = {all: [condition]};
+            }
+
+            if (this._is(this._peek(state), 'symbol', '=>')) {
+                this._next(state);
+
+                if (typeof condition === 'string') {
+                    condition = {all: [condition]};
+                }
+
+                condition.result = this._parseValue(state);
+            }
+
+            conditions.push(condition);
+        }
+
+        if (!conditions.length) {
+            throw syntaxError('A rule must contain at least one condition', this._peek(state));
+        }
+
+        const result = {
+            conditions: conditions.length === 1 ? conditions[0] : conditions,
+        };
+
+        if ('default' in rule) {
+            result.default = rule.default;
+        }
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name print
+     * @param {Rule} rule - The rule to print.
+     * @returns {string} - The rule in the text syntax.
+     */
+    print: function (rule) {
+        const conditions = rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        const lines = conditions.map((condition) => {
+            let text = this._printNode(condition, '');
+
+            if (this._objectDiscovery.isObject(condition) && 'result' in condition) {
+                text += ' => ' + this._printValue(condition.result);
+            }
+
+            return text;
+        });
+
+        if ('default' in rule) {
+            lines.push('default => ' + this._printValue(rule.default));
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * @method
+     * @name _parseExpression
+     * @param {Object} state - The state of the parser.
+     * @returns {Condition|Constraint|Quantifier|string} - The parsed node.
+     * @private
+     */
+    _parseExpression: function (state) {
+        const token = this._peek(state);
+
+        if (token.type === 'reference') {
+            this._next(state);
+            return token.value;
+        }
+
+        if (this._is(token, 'punct', '@')) {
+            this._next(state);
+            return this._expect(state, 'string', 'a rule id').value;
+        }
+
+        if (this._is(token, 'word', 'not')) {
+            this._next(state);
+
+            let node = this._parseExpression(state);
+
+            return this._objectDiscovery.isCondition(node) && 'any' in node
+                ? {none: node.any}
+                : {none: [node]};
+        }
+
+        if (this._startsQuantifier(state)) {
+            return this._parseQuantifier(state);
+        }
+
+        if (token.type === 'word' && GROUPS.includes(token.value) && this._is(this._peek(state, 1), 'punct', '(')) {
+            return this._parseGroup(state);
+        }
+
+        if (token.type === 'word' || token.type === 'string') {
+            return this._parseConstraint(state);
+        }
+
+        throw syntaxError(`Expected a condition, a constraint or a rule reference but found ${describe(token)}`, token);
+    },
+
+    /**
+     * @method
+     * @name _parseGroup
+     * @param {Object} state - The state of the parser.
+     * @returns {Condition} - The parsed condition.
+     * @private
+     */
+    _parseGroup: function (state) {
+        const type = this._next(state).value;
+
+        this._next(state);
+
+        const condition = {};
+
+        condition[type] = this._parseNodes(state);
+
+        return condition;
+    },
+
+    /**
+     * @method
+     * @name _parseNodes
+     * @param {Object} state - The state of the parser.
+     * @returns {Array.<(Condition|Constraint|Quantifier|string)>} - The nodes separated by commas, up to and including
+     * the closing parenthesis.
+     * @private
+     */
+    _parseNodes: function (state) {
+        const nodes = [];
+
+        while (!this._is(this._peek(state), 'punct', ')')) {
+            nodes.push(this._parseExpression(state));
+
+            if (this._is(this._peek(state), 'punct', ',')) {
+                this._next(state);
+            } else if (!this._is(this._peek(state), 'punct', ')')) {
+                throw syntaxError(`Expected ',' or ')' but found ${describe(this._peek(state))}`, this._peek(state));
+            }
+        }
+
+        this._next(state);
+
+        return nodes;
+    },
+
+    /**
+     * @method
+     * @name _startsQuantifier
+     * @param {Object} state - The state of the parser.
+     * @returns {boolean} - Whether the next tokens start a collection quantifier.
+     * @description "none(" starts a group too, it starts a quantifier when the path is followed by ":" or ")" rather
+     * than by an operator.
+     * @private
+     */
+    _startsQuantifier: function (state) {
+        const token = this._peek(state);
+
+        if (token.type !== 'word' || !constants.QUANTIFIERS.includes(token.value) || !this._is(this._peek(state, 1), 'punct', '(')) {
+            return false;
+        }
+
+        return token.value !== 'none' || (this._peek(state, 2).type === 'word'
+            && (this._is(this._peek(state, 3), 'punct', ':') || this._is(this._peek(state, 3), 'punct', ')')));
+    },
+
+    /**
+     * @method
+     * @name _parseQuantifier
+     * @param {Object} state - The state of the parser.
+     * @returns {Quantifier} - The parsed quantifier.
+     * @private
+     */
+    _parseQuantifier: function (state) {
+        const quantifier = {
+            collection: null,
+            quantifier: this._next(state).value,
+        };
+
+        this._next(state);
+        quantifier.collection = this._expect(state, 'word', 'a collection path').value;
+
+        if (this._is(this._peek(state), 'punct', ':')) {
+            this._next(state);
+
+            let nodes = this._parseNodes(state);
+
+            // A single condition or reference is the condition of the items, other nodes must all match.
+            quantifier.where = nodes.length === 1 && (typeof nodes[0] === 'string' || this._objectDiscovery.isCondition(nodes[0]))
+                ? nodes[0]
+                : {all: nodes};
+        } else {
+            this._expect(state, 'punct', ')');
+        }
+
+        if (quantifier.quantifier === 'count') {
+            let comparison = this._parseComparison(state, `'count(${quantifier.collection})'`);
+
+            quantifier.operator = comparison.operator;
+            quantifier.value = comparison.value;
+        }
+
+        return quantifier;
+    },
+
+    /**
+     * @method
+     * @name _parseConstraint
+     * @param {Object} state - The state of the parser.
+     * @returns {Constraint} - The parsed constraint.
+     * @private
+     */
+    _parseConstraint: function (state) {
+        const field = this._next(state).value;
+        const comparison = this._parseComparison(state, `the field '${field}'`);
+
+        return {
+            field: field,
+            operator: comparison.operator,
+            value: comparison.value,
+        };
+    },
+
+    /**
+     * @method
+     * @name _parseComparison
+     * @param {Object} state - The state of the parser.
+     * @param {string} subject - What is compared, for error messages.
+     * @returns {{operator: string, value: *}} - The parsed operator and its value, null for a unary operator.
+     * @private
+     */
+    _parseComparison: function (state, subject) {
+        const token = this._peek(state);
+        let match = null;
+
+        // The longest operator matching the next tokens wins, e.g. "greater than or equal" over "greater than".
+        for (let operator of state.operators) {
+            let matches = operator.tokens.every((t, i) => {
+                let candidate = this._peek(state, i);
+
+                return candidate.type === t.type && candidate.text === t.text;
+            });
+
+            if (matches && (!match || operator.tokens.length > match.tokens.length)) {
+                match = operator;
+            }
+        }
+
+        if (!match) {
+            throw syntaxError(`Expected an operator after ${subject} but found ${describe(token)}`, token);
+        }
+
+        state.pos += match.tokens.length;
+
+        let value = null;
+
+        if (this._startsValue(this._peek(state))) {
+            value = this._parseValue(state);
+        } else if (!this._operators.get(match.name).unary) {
+            throw syntaxError(`Expected a value for the operator '${match.name}' but found ${describe(this._peek(state))}`, this._peek(state));
+        }
+
+        return {
+            operator: match.name,
+            value: value,
+        };
+    },
+
+    /**
+     * @method
+     * @name _parseValue
+     * @param {Object} state - The state of the parser.
+     * @returns {*} - The parsed JSON value.
+     * @private
+     */
+    _parseValue: function (state) {
+        const token = this._next(state);
+
+        if (token.type === 'string' || token.type === 'number') {
+            return token.value;
+        }
+
+        if (token.type === 'word' && token.value in LITERALS) {
+            return LITERALS[token.value];
+        }
+
+        if (this._is(token, 'punct', '[')) {
+            let values = [];
+
+            while (!this._is(this._peek(state), 'punct', ']')) {
+                values.push(this._parseValue(state));
+
+                if (this._is(this._peek(state), 'punct', ',')) {
+                    this._next(state);
+                } else if (!this._is(this._peek(state), 'punct', ']')) {
+                    throw syntaxError(`Expected ',' or ']' but found ${describe(this._peek(state))}`, this._peek(state));
+                }
+            }
+
+            this._next(state);
+
+            return values;
+        }
+
+        if (this._is(token, 'punct', '{')) {
+            let object = {};
+
+            while (!this._is(this._peek(state), 'punct', '}')) {
+                let key = this._next(state);
+
+                if (key.type !== 'string' && key.type !== 'word') {
+                    throw syntaxError(`Expected a property name but found ${describe(key)}`, key);
+                }
+
+                this._expect(state, 'punct', ':');
+                object[key.value] = this._parseValue(state);
+
+                if (this._is(this._peek(state), 'punct', ',')) {
+                    this._next(state);
+                } else if (!this._is(this._peek(state), 'punct', '}')) {
+                    throw syntaxError(`Expected ',' or '}' but found ${describe(this._peek(state))}`, this._peek(state));
+                }
+            }
+
+            this._next(state);
+
+            return object;
+        }
+
+        throw syntaxError(`Expected a value but found ${describe(token)}`, token);
+    },
+
+    /**
+     * @method
+     * @name _startsValue
+     * @param {Token} token - The token to check.
+     * @returns {boolean} - Whether the token starts a value.
+     * @private
+     */
+    _startsValue: function (token) {
+        return token.type === 'string'
+            || token.type === 'number'
+            || (token.type === 'word' && token.value in LITERALS)
+            || this._is(token, 'punct', '[')
+            || this._is(token, 'punct', '{');
+    },
+
+    /**
+     * @method
+     * @name _peek
+     * @param {Object} state - The state of the parser.
+     * @param {number} [offset] - How many tokens to look ahead.
+     * @returns {Token} - The token, or the "eof" token past the end.
+     * @private
+     */
+    _peek: function (state, offset) {
+        const index = Math.min(state.pos + (offset || 0), state.tokens.length - 1);
+
+        return state.tokens[index];
+    },
+
+    /**
+     * @method
+     * @name _next
+     * @param {Object} state - The state of the parser.
+     * @returns {Token} - The consumed token.
+     * @private
+     */
+    _next: function (state) {
+        const token = this._peek(state);
+
+        if (token.type !== 'eof') {
+            state.pos++;
+        }
+
+        return token;
+    },
+
+    /**
+     * @method
+     * @name _expect
+     * @param {Object} state - The state of the parser.
+     * @param {string} type - The expected type of the next token.
+     * @param {string} value - The expected value of the next token, or a description of it for strings.
+     * @returns {Token} - The consumed token.
+     * @private
+     */
+    _expect: function (state, type, value) {
+        const token = this._next(state);
+
+        if (token.type !== type || (type === 'punct' && token.value !== value)) {
+            throw syntaxError(`Expected ${type === 'punct' ? `'${value}'` : value} but found ${describe(token)}`, token);
+        }
+
+        return token;
+    },
+
+    /**
+     * @method
+     * @name _is
+     * @param {Token} token - The token to check.
+     * @param {string} type - The type to check for.
+     * @param {*} value - The value to check for.
+     * @returns {boolean} - Whether the token has the type and value.
+     * @private
+     */
+    _is: function (token, type, value) {
+        return token.type === type && token.value === value;
+    },
+
+    /**
+     * @method
+     * @name _printNode
+     * @param {Condition|Constraint|Quantifier|string} node - The node to print.
+     * @param {string} indent - The indentation of the line the node starts on.
+     * @returns {string} - The node in the text syntax.
+     * @private
+     */
+    _printNode: function (node, indent) {
+        if (typeof node === 'string') {
+            let match = REFERENCE.exec(node);
+
+            return match && match[0] === node ? '@' + node : '@' + JSON.stringify(node);
+        }
+
+        if (this._objectDiscovery.isCondition(node)) {
+            let type = this._objectDiscovery.conditionType(node);
+            let nested = indent + '    ';
+            let nodes = (node[type] || []).map((child) => this._printNode(child, nested));
+            let inline = `${type}(${nodes.join(', ')})`;
+
+            if (indent.length + inline.length <= MAX_LINE_LENGTH && !inline.includes('\n')) {
+                return inline;
+            }
+
+            return `${type}(\n${nodes.map((child) => nested + child).join(',\n')}\n${indent})`;
+        }
+
+        if (this._objectDiscovery.isConstraint(node)) {
+            let match = WORD.exec(node.field);
+            let field = match && match[0] === node.field && node.field !== 'not' ? node.field : JSON.stringify(node.field);
+
+            return `${field} ${this._printComparison(node.operator, node.value)}`;
+        }
+
+        if (this._objectDiscovery.isQuantifier(node)) {
+            let nested = indent + '    ';
+            let head = node.quantifier + '(' + node.collection + ('where' in node ? ':' : '');
+            let tail = node.quantifier === 'count' ? ' ' + this._printComparison(node.operator, node.value) : '';
+            let nodes = [];
+
+            if ('where' in node) {
+                // The nodes of an "all" are listed as they are parsed back, unless it holds a single condition.
+                let where = node.where;
+                let unwrap = this._objectDiscovery.isCondition(where) && 'all' in where && !('result' in where)
+                    && !(where.all.length === 1 && (typeof where.all[0] === 'string' || this._objectDiscovery.isCondition(where.all[0])));
+
+                nodes = (unwrap ? where.all : [where]).map((child) => this._printNode(child, nested));
+            }
+
+            let inline = `${head}${nodes.length ? ' ' + nodes.join(', ') : ''})${tail}`;
+
+            if (indent.length + inline.length <= MAX_LINE_LENGTH && !inline.includes('\n')) {
+                return inline;
+            }
+
+            return `${head}\n${nodes.map((child) => nested + child).join(',\n')}\n${indent})${tail}`;
+        }
+
+        throw new Error('Cannot print an invalid node: ' + JSON.stringify(node));
+    },
+
+    /**
+     * @method
+     * @name _printComparison
+     * @param {string} operator - The name of the operator.
+     * @param {*} value - The value of the operator.
+     * @returns {string} - The operator and its value in the text syntax, without the value of a unary operator.
+     * @private
+     */
+    _printComparison: function (operator, value) {
+        const definition = this._operators.get(operator);
+
+        if (definition && definition.unary && value === null) {
+            return operator;
+        }
+
+        return `${operator} ${this._printValue(value)}`;
+    },
+
+    /**
+     * @method
+     * @name _printValue
+     * @param {*} value - The value to print.
+     * @returns {string} - The value in the text syntax.
+     * @private
+     */
+    _printValue: function (value) {
+        return typeof value === 'undefined' ? 'null' : JSON.stringify(value);
+    }
+});
+
+module.exports = RuleExpression;
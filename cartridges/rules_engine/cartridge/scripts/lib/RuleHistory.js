@@ -0,0 +1,314 @@
+const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const RuleBundle = require('~/cartridge/scripts/lib/RuleBundle');
+const json = require('~/cartridge/scripts/util/json');
+const transaction = require('~/cartridge/scripts/util/transaction');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ * @typedef {import('./condition.jsdoc').Condition} Condition
+ * @typedef {import('./constraint.jsdoc').Constraint} Constraint
+ * @typedef {import('./quantifier.jsdoc').Quantifier} Quantifier
+ */
+
+/**
+ * @typedef {Object} RuleRevision
+ * @property {string} ruleId - The id of the rule.
+ * @property {number} revision - The number of the revision, starting at 1 for each rule.
+ * @property {string|null} author - The user who saved the revision.
+ * @property {Date} createdAt - When the revision was saved.
+ * @property {Rule} rule - The rule as it was saved, in the format of the bundles.
+ */
+
+/**
+ * @typedef {Object} RevisionChange
+ * @property {string} path - Where the change is, e.g. "priority" or "conditions[0].all[2].value".
+ * @property {('added' | 'removed' | 'changed')} type - The kind of the change.
+ * @property {*} [before] - The value before the change, unless it was added.
+ * @property {*} [after] - The value after the change, unless it was removed.
+ */
+
+const METADATA = ['label', 'description', 'context', 'default', 'enabled', 'startDate', 'endDate', 'priority', 'tags', 'clientFields', 'tests', 'actions'];
+
+/**
+ * @class
+ * @name RuleHistory
+ * @description Keeps the revisions of the rules as RuleRevision custom objects. A revision is created each time a rule
+ * is saved through the engine and never modified afterwards, so earlier versions can be compared and restored.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ * @property {RuleBundle} _bundle - Normalizes the rules the way they are exported.
+ */
+const RuleHistory = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._objectDiscovery = new ObjectDiscovery();
+        this._bundle = new RuleBundle(null);
+    },
+
+    /**
+     * @method
+     * @name record
+     * @param {Rule} rule - The rule which was saved.
+     * @param {string} [author] - The user who saved the rule.
+     * @returns {number} - The number of the new revision.
+     * @description Creates the next revision of a rule, keyed by the id of the rule and the number of the revision. Call
+     * it in the transaction saving the rule, so the rule and its revision are committed together.
+     */
+    record: function (rule, author) {
+        let revision;
+
+        // the number is derived in the transaction writing the revision, and is part of its key, so two saves racing
+        // for the same number cannot both commit
+        transaction.wrap(() => {
+            revision = this._latestRevision(rule.id) + 1;
+
+            const object = CustomObjectMgr.createCustomObject('RuleRevision', `${rule.id}_${revision}`);
+
+            object.custom.ruleId = rule.id;
+            object.custom.revision = revision;
+            object.custom.author = author || null;
+            object.custom.rule = JSON.stringify(this._bundle.normalize(rule));
+        });
+
+        return revision;
+    },
+
+    /**
+     * @method
+     * @name list
+     * @param {string} ruleId - The id of the rule.
+     * @returns {Array.<RuleRevision>} - The revisions of the rule, the latest first.
+     */
+    list: function (ruleId) {
+        const revisions = [];
+        const iterator = CustomObjectMgr.queryCustomObjects('RuleRevision', 'custom.ruleId = {0}', 'custom.revision desc', ruleId);
+
+        try {
+            while (iterator.hasNext()) {
+                revisions.push(this._fromObject(iterator.next()));
+            }
+        } finally {
+            iterator.close();
+        }
+
+        return revisions;
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} ruleId - The id of the rule.
+     * @param {number} revision - The number of the revision.
+     * @returns {RuleRevision|null} - The revision, or null if the rule has no such revision.
+     */
+    get: function (ruleId, revision) {
+        const object = CustomObjectMgr.queryCustomObject('RuleRevision', 'custom.ruleId = {0} AND custom.revision = {1}', ruleId, revision);
+
+        return object ? this._fromObject(object) : null;
+    },
+
+    /**
+     * @method
+     * @name diff
+     * @param {Rule} before - The earlier version of the rule.
+     * @param {Rule} after - The later version of the rule.
+     * @returns {Array.<RevisionChange>} - The changes between the versions. Conditions are compared node by node, so
+     * inserting a constraint shows as one addition rather than as a change of every following node.
+     */
+    diff: function (before, after) {
+        const changes = [];
+
+        for (let field of METADATA) {
+            this._diffValue(before[field], after[field], field, changes);
+        }
+
+        this._diffList(this._rootConditions(before), this._rootConditions(after), 'conditions', changes);
+
+        return changes;
+    },
+
+    /**
+     * @method
+     * @name _rootConditions
+     * @param {Rule} rule
+     * @returns {Array.<Condition>} - The root conditions of the rule, as an array.
+     * @private
+     */
+    _rootConditions: function (rule) {
+        return rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+    },
+
+    /**
+     * @method
+     * @name _diffValue
+     * @param {*} before
+     * @param {*} after
+     * @param {string} path - The path of the value.
+     * @param {Array.<RevisionChange>} changes - Collects the changes.
+     * @private
+     */
+    _diffValue: function (before, after, path, changes) {
+        if (json.canonical(before) === json.canonical(after)) {
+            return;
+        }
+
+        if (before === undefined) {
+            changes.push({path: path, type: 'added', after: after});
+        } else if (after === undefined) {
+            changes.push({path: path, type: 'removed', before: before});
+        } else {
+            changes.push({path: path, type: 'changed', before: before, after: after});
+        }
+    },
+
+    /**
+     * @method
+     * @name _diffNode
+     * @param {Condition | Constraint | Quantifier | string} before
+     * @param {Condition | Constraint | Quantifier | string} after
+     * @param {string} path - The path of the node.
+     * @param {Array.<RevisionChange>} changes - Collects the changes.
+     * @private
+     */
+    _diffNode: function (before, after, path, changes) {
+        const isCondition = this._objectDiscovery.isCondition(before) && this._objectDiscovery.isCondition(after);
+        const isConstraint = this._objectDiscovery.isConstraint(before) && this._objectDiscovery.isConstraint(after);
+        const isQuantifier = this._objectDiscovery.isQuantifier(before) && this._objectDiscovery.isQuantifier(after);
+
+        if (isCondition) {
+            let typeBefore = this._objectDiscovery.conditionType(before);
+            let typeAfter = this._objectDiscovery.conditionType(after);
+
+            this._diffValue(typeBefore, typeAfter, path + '.type', changes);
+            this._diffValue(before.result, after.result, path + '.result', changes);
+            this._diffList(before[typeBefore], after[typeAfter], `${path}.${typeAfter}`, changes);
+            return;
+        }
+
+        if (isConstraint) {
+            for (let property of ['field', 'operator', 'value']) {
+                this._diffValue(before[property], after[property], `${path}.${property}`, changes);
+            }
+            return;
+        }
+
+        if (isQuantifier) {
+            for (let property of ['collection', 'quantifier', 'operator', 'value']) {
+                this._diffValue(before[property], after[property], `${path}.${property}`, changes);
+            }
+
+            this._diffNode(before.where, after.where, path + '.where', changes);
+            return;
+        }
+
+        // references to other rules, and nodes which changed their kind, are compared as a whole
+        this._diffValue(before, after, path, changes);
+    },
+
+    /**
+     * @method
+     * @name _diffList
+     * @param {Array} before - The nodes before.
+     * @param {Array} after - The nodes after.
+     * @param {string} path - The path of the list.
+     * @param {Array.<RevisionChange>} changes - Collects the changes.
+     * @private
+     */
+    _diffList: function (before, after, path, changes) {
+        before = before instanceof Array ? before : [];
+        after = after instanceof Array ? after : [];
+
+        const a = before.map(json.canonical);
+        const b = after.map(json.canonical);
+        const lengths = [];
+
+        // the longest common subsequence of equal nodes, the other nodes were added, removed or changed
+        for (let i = a.length; i >= 0; i--) {
+            lengths[i] = [];
+
+            for (let j = b.length; j >= 0; j--) {
+                if (i === a.length || j === b.length) {
+                    lengths[i][j] = 0;
+                } else if (a[i] === b[j]) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        let removed = [];
+        let added = [];
+        const flush = () => {
+            // nodes replaced at the same place are diffed, so a changed value shows as such
+            while (removed.length && added.length) {
+                let r = removed.shift();
+                let d = added.shift();
+
+                this._diffNode(before[r], after[d], `${path}[${d}]`, changes);
+            }
+
+            removed.forEach((r) => changes.push({path: `${path}[${r}]`, type: 'removed', before: before[r]}));
+            added.forEach((d) => changes.push({path: `${path}[${d}]`, type: 'added', after: after[d]}));
+            removed = [];
+            added = [];
+        };
+
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                flush();
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                added.push(j++);
+            } else {
+                removed.push(i++);
+            }
+        }
+
+        flush();
+    },
+
+    /**
+     * @method
+     * @name _latestRevision
+     * @param {string} ruleId - The id of the rule.
+     * @returns {number} - The number of the latest revision of the rule, or 0 if it has none.
+     * @private
+     */
+    _latestRevision: function (ruleId) {
+        const iterator = CustomObjectMgr.queryCustomObjects('RuleRevision', 'custom.ruleId = {0}', 'custom.revision desc', ruleId);
+
+        // only the number of the first revision is read, the earlier ones are not parsed
+        try {
+            return iterator.hasNext() ? iterator.next().custom.revision : 0;
+        } finally {
+            iterator.close();
+        }
+    },
+
+    /**
+     * @method
+     * @name _fromObject
+     * @param {dw.object.CustomObject} object - The custom object of the revision.
+     * @returns {RuleRevision}
+     * @private
+     */
+    _fromObject: function (object) {
+        return {
+            ruleId: object.custom.ruleId,
+            revision: object.custom.revision,
+            author: object.custom.author || null,
+            createdAt: object.creationDate,
+            rule: JSON.parse(object.custom.rule),
+        };
+    }
+});
+
+module.exports = RuleHistory;
@@ -0,0 +1,305 @@
+const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+const CacheMgr = require('dw/system/CacheMgr');
+
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const constants = require('~/cartridge/scripts/util/constants');
+const dates = require('~/cartridge/scripts/util/dates');
+const hooks = require('~/cartridge/scripts/util/hooks');
+const transaction = require('~/cartridge/scripts/util/transaction');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ */
+
+/**
+ * @class
+ * @name RuleRepository
+ * @description Loads the rules stored as Rule custom objects, lazily and by id. Parsed rules are cached with the
+ * CacheMgr, keyed by their id and last modification, so editing a rule only invalidates the entry of that rule. The
+ * app.rules.resolveRule hook can provide rules from another source, which get does not look up as custom objects; find
+ * and ids only list the custom objects.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ * @property {Object.<string, (Rule|null)>} _rules - The rules already loaded by this repository, by id.
+ */
+const RuleRepository = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._objectDiscovery = new ObjectDiscovery();
+        this._rules = {};
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} id - The id of the rule.
+     * @returns {Rule|null} - The rule, or null if there is no rule with that id or its conditions are not valid JSON.
+     */
+    get: function (id) {
+        if (!Object.prototype.hasOwnProperty.call(this._rules, id)) {
+            this._rules[id] = this._load(id);
+        }
+
+        return this._rules[id];
+    },
+
+    /**
+     * @method
+     * @name dependencies
+     * @param {Rule} rule - The rule to get the dependencies of.
+     * @returns {Object.<string, (number|null)>} - The last modification of every rule the rule references, directly or
+     * through other rules, by id. Null for references to unknown rules.
+     */
+    dependencies: function (rule) {
+        const dependencies = {};
+        const pending = this._objectDiscovery.references(rule.conditions);
+
+        while (pending.length) {
+            let id = pending.shift();
+
+            if (Object.prototype.hasOwnProperty.call(dependencies, id)) {
+                continue;
+            }
+
+            let dependency = this.get(id);
+
+            dependencies[id] = dependency ? dependency.lastModified : null;
+
+            if (dependency) {
+                pending.push.apply(pending, this._objectDiscovery.references(dependency.conditions));
+            }
+        }
+
+        return dependencies;
+    },
+
+    /**
+     * @method
+     * @name isCurrent
+     * @param {Object.<string, (number|null)>} dependencies - The dependencies of a rule, as returned by dependencies.
+     * @returns {boolean} - Whether none of the dependencies were modified, created or deleted since.
+     */
+    isCurrent: function (dependencies) {
+        return Object.keys(dependencies).every((id) => {
+            let rule = this.get(id);
+
+            return (rule ? rule.lastModified : null) === dependencies[id];
+        });
+    },
+
+    /**
+     * @method
+     * @name find
+     * @param {Object} [filter] - Narrows down the rules.
+     * @param {string} [filter.tag] - Only find the rules with this tag.
+     * @returns {Array.<Rule>} - The stored rules matching the filter, whether they are active or not. Rules whose
+     * conditions are not valid JSON are left out.
+     */
+    find: function (filter) {
+        const tag = filter && filter.tag;
+        const rules = [];
+        const iterator = tag
+            ? CustomObjectMgr.queryCustomObjects('Rule', 'custom.tags = {0}', null, tag)
+            : CustomObjectMgr.getAllCustomObjects('Rule');
+
+        try {
+            while (iterator.hasNext()) {
+                let object = iterator.next();
+                let id = object.custom.id;
+
+                if (!Object.prototype.hasOwnProperty.call(this._rules, id)) {
+                    this._rules[id] = this._fromObject(object);
+                }
+
+                if (this._rules[id]) {
+                    rules.push(this._rules[id]);
+                }
+            }
+        } finally {
+            iterator.close();
+        }
+
+        return rules;
+    },
+
+    /**
+     * @method
+     * @name ids
+     * @returns {Array.<string>} - The ids of all the stored rules, including the ones whose conditions are not valid
+     * JSON.
+     */
+    ids: function () {
+        const ids = [];
+        const iterator = CustomObjectMgr.getAllCustomObjects('Rule');
+
+        try {
+            while (iterator.hasNext()) {
+                ids.push(iterator.next().custom.id);
+            }
+        } finally {
+            iterator.close();
+        }
+
+        return ids;
+    },
+
+    /**
+     * @method
+     * @name save
+     * @param {Rule} rule - The rule to save, with an id.
+     * @description Creates or updates the custom object of a rule. The rule is not validated, see RulesEngine.save. The
+     * rule is not loaded back, since in a transaction which is still open its last modification is not updated yet.
+     */
+    save: function (rule) {
+        try {
+            transaction.wrap(() => {
+                const object = CustomObjectMgr.getCustomObject('Rule', rule.id) || CustomObjectMgr.createCustomObject('Rule', rule.id);
+                const startDate = rule.startDate !== undefined && rule.startDate !== null ? dates.toDate(rule.startDate) : null;
+                const endDate = rule.endDate !== undefined && rule.endDate !== null ? dates.toDate(rule.endDate) : null;
+
+                object.custom.label = rule.label || null;
+                object.custom.description = rule.description || null;
+                object.custom.context = rule.context || null;
+                object.custom.conditions = JSON.stringify(rule.conditions);
+                object.custom.defaultResult = 'default' in rule ? JSON.stringify(rule.default) : null;
+                object.custom.enabled = rule.enabled !== false;
+                object.custom.startDate = startDate;
+                object.custom.endDate = endDate;
+                object.custom.priority = rule.priority || 0;
+                object.custom.tags = rule.tags || [];
+                object.custom.clientFields = rule.clientFields || [];
+                object.custom.tests = rule.tests && rule.tests.length ? JSON.stringify(rule.tests) : null;
+                object.custom.actions = rule.actions && rule.actions.length ? JSON.stringify(rule.actions) : null;
+            });
+        } finally {
+            // the next get loads the version which is committed, whether the transaction commits or rolls back
+            delete this._rules[rule.id];
+        }
+    },
+
+    /**
+     * @method
+     * @name remove
+     * @param {string} id - The id of the rule to remove.
+     * @description Removes the custom object of a rule, if it exists. References to the rule are not checked.
+     */
+    remove: function (id) {
+        try {
+            transaction.wrap(() => {
+                const object = CustomObjectMgr.getCustomObject('Rule', id);
+
+                if (object) {
+                    CustomObjectMgr.remove(object);
+                }
+            });
+        } finally {
+            delete this._rules[id];
+        }
+    },
+
+    /**
+     * @method
+     * @name _load
+     * @param {string} id - The id of the rule.
+     * @returns {Rule|null} - The rule, or null if there is no rule with that id or its conditions are not valid JSON.
+     * @description Loads a rule from the app.rules.resolveRule hook, or from its custom object if the hook does not
+     * provide it.
+     * @private
+     */
+    _load: function (id) {
+        const resolved = hooks.call('resolveRule', {id: id});
+
+        if (this._objectDiscovery.isObject(resolved)) {
+            return resolved;
+        }
+
+        const object = CustomObjectMgr.getCustomObject('Rule', id);
+
+        return object ? this._fromObject(object) : null;
+    },
+
+    /**
+     * @method
+     * @name _fromObject
+     * @param {dw.object.CustomObject} object - The custom object of the rule.
+     * @returns {Rule|null} - The rule, or null if its conditions are not valid JSON.
+     * @private
+     */
+    _fromObject: function (object) {
+        const lastModified = object.lastModified.getTime();
+        const cache = CacheMgr.getCache(constants.CACHE_ID);
+
+        return cache.get(`rule_${object.custom.id}_${lastModified}`, () => this._parse(object, lastModified)) || null;
+    },
+
+    /**
+     * @method
+     * @name _parse
+     * @param {dw.object.CustomObject} object - The custom object of the rule.
+     * @param {number} lastModified - The last modification of the custom object.
+     * @returns {Rule|undefined} - The rule, or undefined if its conditions are not valid JSON.
+     * @private
+     */
+    _parse: function (object, lastModified) {
+        let conditions;
+        let fallback;
+        let tests;
+        let actions;
+
+        try {
+            conditions = JSON.parse(object.custom.conditions);
+        } catch (e) {
+            dw.system.Logger.error('Rule {0} does not have valid JSON conditions: {1}', object.custom.id, e.message);
+            return undefined;
+        }
+
+        try {
+            fallback = object.custom.defaultResult ? JSON.parse(object.custom.defaultResult) : undefined;
+        } catch (e) {
+            dw.system.Logger.error('Rule {0} does not have a valid JSON default result: {1}', object.custom.id, e.message);
+            return undefined;
+        }
+
+        try {
+            tests = object.custom.tests ? JSON.parse(object.custom.tests) : [];
+        } catch (e) {
+            dw.system.Logger.error('Rule {0} does not have valid JSON test cases: {1}', object.custom.id, e.message);
+            return undefined;
+        }
+
+        try {
+            actions = object.custom.actions ? JSON.parse(object.custom.actions) : [];
+        } catch (e) {
+            dw.system.Logger.error('Rule {0} does not have valid JSON actions: {1}', object.custom.id, e.message);
+            return undefined;
+        }
+
+        const rule = {
+            id: object.custom.id,
+            label: object.custom.label,
+            description: object.custom.description,
+            context: object.custom.context || null,
+            conditions: conditions,
+            // the dates are cached as timestamps, an unset flag keeps the rule enabled
+            enabled: object.custom.enabled !== false,
+            startDate: object.custom.startDate ? object.custom.startDate.getTime() : null,
+            endDate: object.custom.endDate ? object.custom.endDate.getTime() : null,
+            priority: object.custom.priority || 0,
+            tags: object.custom.tags ? Array.prototype.slice.call(object.custom.tags) : [],
+            clientFields: object.custom.clientFields ? Array.prototype.slice.call(object.custom.clientFields) : [],
+            tests: tests,
+            actions: actions,
+            lastModified: lastModified,
+        };
+
+        if (fallback !== undefined) {
+            rule.default = fallback;
+        }
+
+        return rule;
+    }
+});
+
+module.exports = RuleRepository;
@@ -0,0 +1,158 @@
+const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+const Transaction = require('dw/system/Transaction');
+
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const json = require('~/cartridge/scripts/util/json');
+
+/**
+ * @typedef {import('./rule.jsdoc').Rule} Rule
+ * @typedef {import('./test-case.jsdoc').TestCase} TestCase
+ * @typedef {import('./RuleRepository')} RuleRepository
+ * @typedef {import('./Evaluator')} Evaluator
+ */
+
+/**
+ * @typedef {Object} TestCaseResult
+ * @property {string} name - The name of the test case.
+ * @property {boolean} passed - Whether the rule decided the expected result.
+ * @property {*} expected - The expected decision.
+ * @property {*} [actual] - The decision of the rule, unless the evaluation failed.
+ * @property {string} [error] - Why the evaluation failed.
+ */
+
+/**
+ * @typedef {Object} TestRunResult
+ * @property {string} ruleId - The id of the rule.
+ * @property {Array.<TestCaseResult>} cases - The results of the test cases, in their order.
+ * @property {number} passed - The number of test cases which passed.
+ * @property {number} failed - The number of test cases which failed.
+ * @property {Array.<string>} changedReferences - The ids of the rules the rule references, directly or through other
+ * rules, which were modified, created or deleted since the last run where every test case passed. Empty if there was
+ * no such run.
+ * @property {string} [error] - Why the test cases could not be run, e.g. the rule is not valid.
+ */
+
+/**
+ * @class
+ * @name RuleTests
+ * @description Runs the test cases stored with the rules. The references of a rule are recorded as a RuleTestRun custom
+ * object each time all of its test cases pass, so the next runs can tell which referenced rules changed since.
+ * @property {RuleRepository} _repository - The repository the referenced rules are loaded from.
+ * @property {Evaluator} _evaluator - The evaluator deciding the rules.
+ */
+const RuleTests = Class.extend({
+    /**
+     * @constructor
+     * @param {RuleRepository} repository - The repository the referenced rules are loaded from.
+     * @param {Evaluator} evaluator - The evaluator deciding the rules.
+     */
+    init: function (repository, evaluator) {
+        this._repository = repository;
+        this._evaluator = evaluator;
+    },
+
+    /**
+     * @method
+     * @name run
+     * @param {Rule} rule - A valid stored rule.
+     * @returns {TestRunResult}
+     * @description Decides the rule against the criteria of each of its test cases. The schedule of the rule is ignored,
+     * so the test cases keep passing once a campaign is over.
+     */
+    run: function (rule) {
+        const cases = (rule.tests || []).map((test, index) => this._runCase(rule, test, index));
+        const passed = cases.filter((result) => result.passed).length;
+        const dependencies = this._repository.dependencies(rule);
+        const lastPass = this._lastPass(rule.id);
+
+        if (cases.length && passed === cases.length) {
+            this._recordPass(rule.id, dependencies);
+        }
+
+        return {
+            ruleId: rule.id,
+            cases: cases,
+            passed: passed,
+            failed: cases.length - passed,
+            changedReferences: lastPass ? this._changes(lastPass, dependencies) : [],
+        };
+    },
+
+    /**
+     * @method
+     * @name _runCase
+     * @param {Rule} rule - The rule.
+     * @param {TestCase} test - The test case.
+     * @param {number} index - The index of the test case.
+     * @returns {TestCaseResult}
+     * @private
+     */
+    _runCase: function (rule, test, index) {
+        const result = {
+            name: test.name || `case ${index + 1}`,
+            passed: false,
+            expected: test.expected,
+        };
+
+        try {
+            result.actual = this._evaluator.decide(rule, test.criteria);
+        } catch (e) {
+            result.error = e.message;
+            return result;
+        }
+
+        result.passed = json.canonical(result.actual) === json.canonical(test.expected);
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name _changes
+     * @param {Object.<string, (number|null)>} before - The dependencies of the rule at the last passing run.
+     * @param {Object.<string, (number|null)>} after - The current dependencies of the rule.
+     * @returns {Array.<string>} - The ids of the referenced rules which changed, were added or were removed.
+     * @private
+     */
+    _changes: function (before, after) {
+        const ids = Object.keys(after).concat(Object.keys(before).filter((id) => !Object.prototype.hasOwnProperty.call(after, id)));
+
+        return ids.filter((id) => before[id] !== after[id]).sort();
+    },
+
+    /**
+     * @method
+     * @name _lastPass
+     * @param {string} ruleId - The id of the rule.
+     * @returns {Object.<string, (number|null)>|null} - The dependencies of the rule at its last passing run, or null if
+     * none was recorded.
+     * @private
+     */
+    _lastPass: function (ruleId) {
+        const object = CustomObjectMgr.getCustomObject('RuleTestRun', ruleId);
+
+        try {
+            return object ? JSON.parse(object.custom.dependencies) : null;
+        } catch (e) {
+            dw.system.Logger.error('The last test run of rule {0} is not valid JSON: {1}', ruleId, e.message);
+            return null;
+        }
+    },
+
+    /**
+     * @method
+     * @name _recordPass
+     * @param {string} ruleId - The id of the rule.
+     * @param {Object.<string, (number|null)>} dependencies - The dependencies of the rule.
+     * @private
+     */
+    _recordPass: function (ruleId, dependencies) {
+        Transaction.wrap(() => {
+            const object = CustomObjectMgr.getCustomObject('RuleTestRun', ruleId) || CustomObjectMgr.createCustomObject('RuleTestRun', ruleId);
+
+            object.custom.dependencies = JSON.stringify(dependencies);
+        });
+    }
+});
+
+module.exports = RuleTests;
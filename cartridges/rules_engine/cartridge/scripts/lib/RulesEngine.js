@@ -1,13 +1,79 @@
-const CustomObjectMgr = require('dw/object/CustomObjectMgr');
+const CacheMgr = require('dw/system/CacheMgr');
 
 const Class = require('~/cartridge/scripts/util/Class').Class;
 
 const Validator = require('~/cartridge/scripts/lib/Validator');
 const Evaluator = require('~/cartridge/scripts/lib/Evaluator');
+const RuleRepository = require('~/cartridge/scripts/lib/RuleRepository');
+const RuleHistory = require('~/cartridge/scripts/lib/RuleHistory');
+const RuleTests = require('~/cartridge/scripts/lib/RuleTests');
+const RuleAnalyzer = require('~/cartridge/scripts/lib/RuleAnalyzer');
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const OperatorRegistry = require('~/cartridge/scripts/lib/OperatorRegistry');
+const RuleExpression = require('~/cartridge/scripts/lib/RuleExpression');
+const builtinOperators = require('~/cartridge/scripts/operators/builtin');
+const temporalOperators = require('~/cartridge/scripts/operators/temporal');
+const bucketingOperators = require('~/cartridge/scripts/operators/bucketing');
+const FactRegistry = require('~/cartridge/scripts/lib/FactRegistry');
+const SchemaRegistry = require('~/cartridge/scripts/lib/SchemaRegistry');
+const ActionRegistry = require('~/cartridge/scripts/lib/ActionRegistry');
+const ActionRunner = require('~/cartridge/scripts/lib/ActionRunner');
+const sfccFacts = require('~/cartridge/scripts/facts/sfcc');
+const sfccActions = require('~/cartridge/scripts/actions/sfcc');
+const constants = require('~/cartridge/scripts/util/constants');
+const lifecycle = require('~/cartridge/scripts/util/lifecycle');
+const bucketing = require('~/cartridge/scripts/util/bucketing');
+const json = require('~/cartridge/scripts/util/json');
+const hooks = require('~/cartridge/scripts/util/hooks');
+const transaction = require('~/cartridge/scripts/util/transaction');
 
 /**
  * @typedef {import('./rule.jsdoc').Rule} Rule
  * @typedef {import('./condition.jsdoc').Condition} Condition
+ * @typedef {import('./explanation.jsdoc').ExplainResult} ExplainResult
+ * @typedef {import('./operator-definition.jsdoc').OperatorDefinition} OperatorDefinition
+ * @typedef {import('./FactRegistry').FactProvider} FactProvider
+ * @typedef {import('./RuleHistory').RuleRevision} RuleRevision
+ * @typedef {import('./RuleHistory').RevisionChange} RevisionChange
+ * @typedef {import('./Validator').DiagnosticsResult} DiagnosticsResult
+ * @typedef {import('./schema.jsdoc').CriteriaSchema} CriteriaSchema
+ * @typedef {import('./RuleTests').TestRunResult} TestRunResult
+ * @typedef {import('./RuleAnalyzer').Finding} Finding
+ * @typedef {import('./RuleAnalyzer').OverlapResult} OverlapResult
+ * @typedef {import('./hooks.jsdoc').EvaluationMethod} EvaluationMethod
+ * @typedef {import('./action-definition.jsdoc').ActionDefinition} ActionDefinition
+ * @typedef {import('./ActionRunner').ActionResult} ActionResult
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {Array.<Finding>} findings - The conditions which never or always match and the nodes which simplify away.
+ * @property {Rule|null} simplified - An equivalent simplified rule, null if the rule is not valid.
+ * @property {Object} [error] - The validation error, if the rule is not valid.
+ */
+
+/**
+ * @typedef {Object} Allocation
+ * @property {string} field - The criteria path of the value to allocate, e.g. "customer.customerNo".
+ * @property {string} salt - Identifies the experiment, so each experiment allocates the same values independently.
+ * @property {Array.<{name: string, weight: number}>} variants - The variants, with weights in percent adding up to 100
+ * at most.
+ */
+
+/**
+ * @typedef {Object} ExecutionResult
+ * @property {boolean} matched - Whether a root condition of the rule matched.
+ * @property {*} result - The decision of the rule, as returned by decide.
+ * @property {boolean} dryRun - Whether the actions were only checked.
+ * @property {boolean} succeeded - Whether every action ran, or could run in a dry run. True if the rule did not match.
+ * @property {Array.<ActionResult>} actions - The result of each action of the rule, empty if it did not match.
+ * @property {Object} [error] - Why the rule was not evaluated, e.g. it is not valid.
+ */
+
+/**
+ * @typedef {Object} RuleMatch
+ * @property {Rule} rule - The rule which matched.
+ * @property {*} result - The result of the first root condition of the rule which matched, true if it has none.
  */
 
 /**
@@ -16,51 +82,153 @@ const Evaluator = require('~/cartridge/scripts/lib/Evaluator');
  * @description A class that represents a rules engine. It is responsible for validating and evaluating rules.
  * @property {Validator} _validator - The validator used to validate rules.
  * @property {Evaluator} _evaluator - The evaluator used to evaluate rules.
- * @property {Array<Object>} _rules - The evaluator used to evaluate rules.
+ * @property {RuleRepository} _repository - The repository the stored rules are loaded from.
+ * @property {RuleHistory} _history - The revisions of the rules saved through the engine.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ * @property {OperatorRegistry} _operators - The operators available to constraints.
+ * @property {FactRegistry} _facts - The providers of the facts which are not part of the criteria.
+ * @property {SchemaRegistry} _schemas - The criteria schemas of the contexts the rules are evaluated in.
+ * @property {ActionRegistry} _actions - The actions the rules can run when they match.
+ * @property {ActionRunner} _actionRunner - Runs the actions of the rules which match.
+ * @property {string|null} _registriesKey - Identifies the operators, schemas and actions the rules are validated with,
+ * computed when it is first needed.
+ * @property {RuleExpression} _expression - The parser and printer of the rule text syntax.
+ * @property {RuleTests} _tests - Runs the test cases stored with the rules.
+ * @property {RuleAnalyzer} _analyzer - Analyzes the conditions of the rules without evaluating them.
  */
 
 const RulesEngine = Class.extend({
     /**
      * @constructor
+     * @param {Object} [options] - How the engine is set up.
+     * @param {boolean} [options.facts] - Whether the fields missing from the criteria are resolved from the facts, true
+     * by default. Disable it where the session is not the one the criteria describe, e.g. in a job evaluating profiles.
      * @description Initializes the RulesEngine with a Validator and an Evaluator.
      */
-    init: function () {
-        // get all the rules
-        const rulesItr = CustomObjectMgr.getAllCustomObjects('Rule');
+    init: function (options) {
+        // the rules are loaded lazily, when they are evaluated or referenced
+        this._repository = new RuleRepository();
+        this._history = new RuleHistory();
+        this._objectDiscovery = new ObjectDiscovery();
 
-        this._rules = [];
+        // register the built-in operators, then the ones contributed by other cartridges
+        this._operators = new OperatorRegistry();
+        builtinOperators.register(this._operators);
+        temporalOperators.register(this._operators);
+        bucketingOperators.register(this._operators);
 
-        while (rulesItr.hasNext()) {
-            this._rules.push(rulesItr.next());
+        hooks.call('registerOperators', this._operators);
+
+        // register the built-in facts, then the ones contributed by other cartridges, unless only the criteria are read
+        this._facts = new FactRegistry();
+
+        if (!options || options.facts !== false) {
+            sfccFacts.register(this._facts);
+
+            hooks.call('registerFacts', this._facts);
         }
 
+        // register the criteria schemas contributed by other cartridges
+        this._schemas = new SchemaRegistry();
+
+        hooks.call('registerSchemas', this._schemas);
+
+        // register the built-in actions, then the ones contributed by other cartridges
+        this._actions = new ActionRegistry();
+        sfccActions.register(this._actions);
+
+        hooks.call('registerActions', this._actions);
+
         // pass them into the validator and the evaluator
-        this._validator = new Validator(this._rules);
-        this._evaluator = new Evaluator(this._rules);
+        this._validator = new Validator(this._repository, this._operators, this._schemas, this._actions);
+        this._evaluator = new Evaluator(this._repository, this._operators, this._facts);
+        this._expression = new RuleExpression(this._operators);
+        this._tests = new RuleTests(this._repository, this._evaluator);
+        this._analyzer = new RuleAnalyzer(this._operators);
+        this._actionRunner = new ActionRunner(this._actions);
+        this._registriesKey = null;
+    },
+
+    /**
+     * @method
+     * @name registerOperator
+     * @param {string} name - The name of the operator, as used in the "operator" of a constraint.
+     * @param {OperatorDefinition} definition - The definition of the operator.
+     * @description Registers an operator, which is then available to both the validation and the evaluation of rules.
+     */
+    registerOperator: function (name, definition) {
+        this._operators.register(name, definition);
+        this._evaluator.clearCompiled();
+        this._registriesKey = null;
+    },
+
+    /**
+     * @method
+     * @name registerFact
+     * @param {string} name - The name of the fact, a criteria path such as "customer.groups".
+     * @param {FactProvider} provider - Computes the value of the fact.
+     * @description Registers a fact provider. It is only called when a constraint needs a field the criteria do not
+     * hold, and at most once per evaluation.
+     */
+    registerFact: function (name, provider) {
+        this._facts.register(name, provider);
+    },
+
+    /**
+     * @method
+     * @name registerSchema
+     * @param {string} context - The context the schema applies to, as used in the "context" of a rule.
+     * @param {CriteriaSchema} schema - The schema of the criteria of the context.
+     * @description Registers a criteria schema. The rules with the context are type-checked against it, and the
+     * criteria they are evaluated against are checked as the schema asks.
+     */
+    registerSchema: function (context, schema) {
+        this._schemas.register(context, schema);
+        this._registriesKey = null;
+    },
+
+    /**
+     * @method
+     * @name registerAction
+     * @param {string} name - The name of the action, as used in the "action" of the actions of a rule.
+     * @param {ActionDefinition} definition - The definition of the action.
+     * @description Registers an action, which the rules can then declare to run when they match.
+     */
+    registerAction: function (name, definition) {
+        this._actions.register(name, definition);
+        this._registriesKey = null;
+    },
+
+    /**
+     * @method
+     * @name operators
+     * @returns {Array.<{name: string, aliases: Array.<string>, unary: boolean}>} - The operators available to
+     * constraints, e.g. to offer them in an editor.
+     */
+    operators: function () {
+        return this._operators.names().map((name) => {
+            let operator = this._operators.get(name);
+
+            return {name: name, aliases: operator.aliases, unary: operator.unary};
+        });
     },
 
     /**
      * @method
      * @name _getById
      * @param {string} id
-     * @returns {{id: string, label: string, conditions: Condition|Array<Condition>, lastModified: string}|undefined} - The rule that matches the id.
-     * @description Validates a rule. It checks if the rule is a valid JSON object and if it contains at least one condition.
+     * @returns {Rule|null} - The rule that matches the id.
+     * @description Loads a stored rule from the repository.
      * @private
      */
     _getById: function (id) {
-        const rule = [].find.call(this._rules, (r) => r.custom.id === id);
+        const rule = this._repository.get(id);
 
         if (!rule) {
             dw.system.Logger.error('Invalid rule reference. ' + id + ' does not reference any known rule.');
-            return;
         }
 
-        return {
-            id: rule.custom.id,
-            label: rule.custom.label,
-            conditions: JSON.parse(rule.custom.conditions),
-            lastModified: rule.lastModified.toString(),
-        };
+        return rule;
     },
 
     /**
@@ -68,7 +236,8 @@ const RulesEngine = Class.extend({
      * @name validate
      * @param {Rule} rule - The rule to validate.
      * @returns {Object} - The result of the validation.
-     * @description Validates a rule using the Validator.
+     * @description Validates a rule using the Validator. The app.rules.onValidationError hook is called when it is not
+     * valid.
      */
     validate: function (rule) {
         // if the rule is a string, it is a reference to another rule
@@ -76,7 +245,291 @@ const RulesEngine = Class.extend({
             rule = this._getById(rule);
         }
 
-        return this._validator.validate(rule);
+        // stored rules are only validated again when they, or the rules they reference, are modified
+        const result = rule && typeof rule.id === 'string' && typeof rule.lastModified === 'number' && this._repository.get(rule.id) === rule
+            ? this._validateStored(rule)
+            : this._validator.validate(rule);
+
+        if (!result.isValid) {
+            hooks.call('onValidationError', {rule: rule, error: result.error});
+        }
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name diagnose
+     * @param {Rule|string} rule - The rule to diagnose, or the id of a stored rule.
+     * @returns {DiagnosticsResult} - Every error of the rule with its JSON pointer, and warnings about likely mistakes.
+     * @description Validates a rule using the Validator, reporting all of its problems rather than the first one.
+     */
+    diagnose: function (rule) {
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        return this._validator.diagnose(rule);
+    },
+
+    /**
+     * @method
+     * @name _validateStored
+     * @param {Rule} rule - The stored rule to validate.
+     * @returns {Object} - The result of the validation.
+     * @description Validates a stored rule, caching the result with the CacheMgr along with the last modification of
+     * every rule it references. The result is cached for the operators, schemas and actions registered with this engine,
+     * since an engine which registered other ones can validate the same rule differently.
+     * @private
+     */
+    _validateStored: function (rule) {
+        const cache = CacheMgr.getCache(constants.CACHE_ID);
+        const key = `validation_${rule.id}_${rule.lastModified}_${this._getRegistriesKey()}`;
+        const cached = cache.get(key);
+
+        if (cached && this._repository.isCurrent(cached.dependencies)) {
+            return cached.result;
+        }
+
+        const result = this._validator.validate(rule);
+
+        cache.put(key, {
+            result: result,
+            dependencies: this._repository.dependencies(rule),
+        });
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name _getRegistriesKey
+     * @returns {string} - A hash of the registered operators, schemas and actions, as far as they affect the validation
+     * of the rules.
+     * @private
+     */
+    _getRegistriesKey: function () {
+        if (this._registriesKey === null) {
+            const operators = this._operators.names().sort().map((name) => {
+                let operator = this._operators.get(name);
+
+                return [name, operator.aliases, operator.unary, operator.types, String(operator.validateValue || '')];
+            });
+            const schemas = this._schemas.names().sort().map((context) => [context, this._schemas.get(context)]);
+            const actions = this._actions.names().sort().map((name) => [name, String(this._actions.get(name).validateParams || '')]);
+
+            this._registriesKey = bucketing.hash(json.canonical({operators: operators, schemas: schemas, actions: actions})).toString(36);
+        }
+
+        return this._registriesKey;
+    },
+
+    /**
+     * @method
+     * @name save
+     * @param {Rule} rule - The rule to save, with an id.
+     * @param {string} [author] - The user saving the rule, recorded in its revision.
+     * @returns {Object} - The result of the validation. The rule is only saved when it is valid.
+     * @description Validates a rule and stores it as a Rule custom object, creating it or replacing the existing one.
+     * Each save creates a new revision of the rule, in the same transaction. When the rule cannot be written, e.g. because
+     * another save took the same revision number, nothing is saved and an error is returned.
+     */
+    save: function (rule, author) {
+        if (!this._objectDiscovery.isObject(rule) || 'string' !== typeof rule.id || !rule.id) {
+            return {
+                isValid: false,
+                error: {
+                    message: 'A rule must have an id to be saved.',
+                    element: rule,
+                },
+            };
+        }
+
+        const validationResult = this._validator.validate(rule);
+
+        if (!validationResult.isValid) {
+            return validationResult;
+        }
+
+        try {
+            // the rule and its revision are committed together, or not at all. The revision records the validated rule,
+            // reading it back before the commit could give the previous version
+            transaction.wrap(() => {
+                this._repository.save(rule);
+                this._history.record(rule, author);
+            });
+        } catch (e) {
+            dw.system.Logger.error('The rule {0} could not be saved: {1}', rule.id, e.message);
+
+            return {
+                isValid: false,
+                error: {
+                    message: `The rule ${rule.id} could not be saved, e.g. because it was saved concurrently. Try again.`,
+                    element: rule,
+                },
+            };
+        }
+
+        return validationResult;
+    },
+
+    /**
+     * @method
+     * @name revisions
+     * @param {string} id - The id of the rule.
+     * @returns {Array.<RuleRevision>} - The revisions of the rule, the latest first.
+     */
+    revisions: function (id) {
+        return this._history.list(id);
+    },
+
+    /**
+     * @method
+     * @name diffRevisions
+     * @param {string} id - The id of the rule.
+     * @param {number} from - The number of the earlier revision.
+     * @param {number} to - The number of the later revision.
+     * @returns {Array.<RevisionChange>|null} - The changes from one revision to the other, down to the constraints, or
+     * null if the rule does not have both revisions.
+     */
+    diffRevisions: function (id, from, to) {
+        const before = this._history.get(id, from);
+        const after = this._history.get(id, to);
+
+        return before && after ? this._history.diff(before.rule, after.rule) : null;
+    },
+
+    /**
+     * @method
+     * @name rollback
+     * @param {string} id - The id of the rule.
+     * @param {number} revision - The number of the revision to restore.
+     * @param {string} [author] - The user rolling back the rule.
+     * @returns {Object} - The result of the validation. The revision is restored as a new revision, and only if it is
+     * still valid, e.g. the rules it references still exist.
+     */
+    rollback: function (id, revision, author) {
+        const restored = this._history.get(id, revision);
+
+        if (!restored) {
+            return {
+                isValid: false,
+                error: {
+                    message: `The rule ${id} does not have a revision ${revision}.`,
+                    element: id,
+                },
+            };
+        }
+
+        return this.save(restored.rule, author);
+    },
+
+    /**
+     * @method
+     * @name runTests
+     * @param {string} ruleId - The id of a stored rule.
+     * @returns {TestRunResult} - The result of each test case of the rule, and the referenced rules which changed since
+     * its test cases last passed.
+     * @description Runs the test cases stored with a rule: the rule is decided against the criteria of each of them and
+     * the decision is compared with the expected one. The test cases are not run if the rule is not valid.
+     */
+    runTests: function (ruleId) {
+        const rule = this._repository.get(ruleId);
+        const validationResult = rule ? this.validate(rule) : null;
+
+        if (!validationResult || !validationResult.isValid) {
+            return {
+                ruleId: ruleId,
+                cases: [],
+                passed: 0,
+                failed: 0,
+                changedReferences: [],
+                error: rule ? 'The rule is not valid: ' + validationResult.error.message : `The rule ${ruleId} does not exist or its JSON is not valid.`,
+            };
+        }
+
+        return this._tests.run(rule);
+    },
+
+    /**
+     * @method
+     * @name analyze
+     * @param {Rule|string} rule - The rule to analyze, or the id of a stored rule.
+     * @returns {AnalysisResult}
+     * @description Analyzes a valid rule without evaluating it: reports the conditions which can never match or always
+     * match, the duplicated and subsumed constraints and the groups which flatten, and simplifies the rule into an
+     * equivalent one.
+     */
+    analyze: function (rule) {
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        const validationResult = this.validate(rule);
+
+        if (!validationResult.isValid) {
+            return {findings: [], simplified: null, error: validationResult.error};
+        }
+
+        return {
+            findings: this._analyzer.analyze(rule),
+            simplified: this._analyzer.simplify(rule),
+        };
+    },
+
+    /**
+     * @method
+     * @name overlap
+     * @param {Rule|string} a - A rule, or the id of a stored rule.
+     * @param {Rule|string} b - Another rule, or the id of a stored rule.
+     * @returns {OverlapResult} - Whether some criteria may match both rules. If either rule is not valid, they do not
+     * overlap and the error is attached.
+     * @description Tells whether two rules target the same criteria, e.g. to find conflicting campaigns.
+     */
+    overlap: function (a, b) {
+        const rules = [a, b].map((rule) => (typeof rule === 'string' ? this._getById(rule) : rule));
+
+        for (let rule of rules) {
+            let validationResult = this.validate(rule);
+
+            if (!validationResult.isValid) {
+                return {overlaps: false, pairs: [], error: validationResult.error};
+            }
+        }
+
+        return this._analyzer.overlap(rules[0], rules[1]);
+    },
+
+    /**
+     * @method
+     * @name validateAll
+     * @param {Array.<Rule>} rules - The rules to validate, with their ids.
+     * @param {Array.<string>} [removed] - The ids of the stored rules which are about to be removed.
+     * @returns {Object.<string, Object>} - The result of the validation of each rule, by id.
+     * @description Validates a set of rules which are about to be stored together, e.g. by an import. References are
+     * resolved to the rules of the set first, then to the stored rules which are not about to be removed.
+     */
+    validateAll: function (rules, removed) {
+        const pending = {};
+        const results = {};
+
+        for (let rule of rules) {
+            pending[rule.id] = rule;
+        }
+
+        for (let id of removed || []) {
+            pending[id] = null;
+        }
+
+        const validator = new Validator({
+            get: (id) => (Object.prototype.hasOwnProperty.call(pending, id) ? pending[id] : this._repository.get(id)),
+        }, this._operators, this._schemas, this._actions);
+
+        for (let rule of rules) {
+            results[rule.id] = validator.validate(rule);
+        }
+
+        return results;
     },
 
     /**
@@ -86,6 +539,9 @@ const RulesEngine = Class.extend({
      * @param {Object} criteria - The criteria to evaluate the rule against.
      * @returns {boolean} - The result of the evaluation.
      * @description Evaluates a rule using the Evaluator. If the rule is not valid, it logs an error and returns false.
+     * A rule which is disabled or out of its schedule is not evaluated and returns false, and so are criteria which
+     * the schema of the context of the rule rejects. The criteria and the result of an active rule go through the
+     * app.rules.beforeEvaluate and app.rules.afterEvaluate hooks.
      */
     evaluate: function (rule, criteria) {
         // if the rule is a string, it is a reference to another rule
@@ -100,7 +556,569 @@ const RulesEngine = Class.extend({
             return false;
         }
 
-        return this._evaluator.evaluate(rule, criteria);
+        if (!lifecycle.isActive(rule)) {
+            return criteria instanceof Array ? criteria.map(() => false) : false;
+        }
+
+        criteria = this._beforeEvaluate('evaluate', rule, criteria);
+
+        return this._afterEvaluate('evaluate', rule, criteria,
+            this._guardCriteria(rule, criteria, () => false, (accepted) => this._evaluator.evaluate(rule, accepted)));
+    },
+
+    /**
+     * @method
+     * @name decide
+     * @param {Rule} rule - The rule to decide.
+     * @param {Object} criteria - The criteria to evaluate the rule against.
+     * @returns {*} - The result of the first matching root condition, or the default of the rule.
+     * @description Evaluates a rule as a decision list using the Evaluator. Root conditions are tried in order and the
+     * "result" of the first one that matches is returned, which can be any JSON payload. If no root condition matches,
+     * or the rule is not valid, disabled or out of its schedule, or the criteria are rejected by the schema of the
+     * context of the rule, the "default" of the rule is returned (false if it has none). The criteria and the result
+     * of an active rule go through the app.rules.beforeEvaluate and app.rules.afterEvaluate hooks.
+     */
+    decide: function (rule, criteria) {
+        // if the rule is a string, it is a reference to another rule
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        const validationResult = this.validate(rule);
+
+        if (!validationResult.isValid) {
+            dw.system.Logger.error('Rule is not valid: ' + validationResult.error.message + ': ' + JSON.stringify(rule));
+            return rule instanceof Object && 'default' in rule ? rule.default : false;
+        }
+
+        if (!lifecycle.isActive(rule)) {
+            let fallback = 'default' in rule ? rule.default : false;
+
+            return criteria instanceof Array ? criteria.map(() => fallback) : fallback;
+        }
+
+        criteria = this._beforeEvaluate('decide', rule, criteria);
+
+        return this._afterEvaluate('decide', rule, criteria,
+            this._guardCriteria(rule, criteria, () => ('default' in rule ? rule.default : false), (accepted) => this._evaluator.decide(rule, accepted)));
+    },
+
+    /**
+     * @method
+     * @name explain
+     * @param {Rule} rule - The rule to explain.
+     * @param {Object} criteria - The criteria to evaluate the rule against.
+     * @returns {ExplainResult} - The evaluation tree of the rule.
+     * @description Evaluates a rule using the Evaluator and returns the full evaluation tree, to find out why a rule did
+     * or did not match. If the rule is not valid, or the schema of its context rejects the criteria, the result is false
+     * and the error is attached. The criteria and the result of an active rule go through the app.rules.beforeEvaluate
+     * and app.rules.afterEvaluate hooks.
+     */
+    explain: function (rule, criteria) {
+        // if the rule is a string, it is a reference to another rule
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        const validationResult = this.validate(rule);
+
+        if (!validationResult.isValid) {
+            return {
+                result: false,
+                matchedCondition: null,
+                references: [],
+                conditions: [],
+                error: validationResult.error,
+            };
+        }
+
+        if (!lifecycle.isActive(rule)) {
+            return {
+                result: false,
+                decision: 'default' in rule ? rule.default : false,
+                matchedCondition: null,
+                references: [],
+                conditions: [],
+                inactive: true,
+            };
+        }
+
+        criteria = this._beforeEvaluate('explain', rule, criteria);
+
+        return this._afterEvaluate('explain', rule, criteria, this._guardCriteria(rule, criteria, (error) => ({
+            result: false,
+            decision: 'default' in rule ? rule.default : false,
+            matchedCondition: null,
+            references: [],
+            conditions: [],
+            error: {
+                message: error,
+                element: criteria,
+            },
+        }), (accepted) => this._evaluator.explain(rule, accepted)));
+    },
+
+    /**
+     * @method
+     * @name execute
+     * @param {Rule|string} rule - The rule to execute, or the id of a stored rule.
+     * @param {Object} criteria - The criteria to evaluate the rule against.
+     * @param {Object} [options] - How to run the actions.
+     * @param {boolean} [options.dryRun] - Only check whether the actions could run, without running them.
+     * @returns {ExecutionResult} - The decision of the rule and the result of each of its actions.
+     * @description Evaluates a rule like decide does and, if a root condition matches, runs the actions of the rule.
+     * Every action is checked first and none runs if one of them cannot. The actions writing persistent objects then
+     * run in a single transaction, rolled back if one of them fails, and the others once it is committed. The other
+     * evaluation methods never run the actions. The criteria and the RuleMatch, or null, of an active rule go through
+     * the app.rules.beforeEvaluate and app.rules.afterEvaluate hooks.
+     */
+    execute: function (rule, criteria, options) {
+        // if the rule is a string, it is a reference to another rule
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        const dryRun = !!(options && options.dryRun);
+        const validationResult = this.validate(rule);
+        const outcome = (match, error) => {
+            let result = {
+                matched: !!match,
+                result: match ? match.result : (rule instanceof Object && 'default' in rule ? rule.default : false),
+                dryRun: dryRun,
+                succeeded: !error,
+                actions: [],
+            };
+
+            if (error) {
+                result.error = error;
+            }
+
+            return result;
+        };
+
+        if (!validationResult.isValid) {
+            dw.system.Logger.error('Rule is not valid: ' + validationResult.error.message + ': ' + JSON.stringify(rule));
+            return outcome(null, validationResult.error);
+        }
+
+        if (!lifecycle.isActive(rule)) {
+            return outcome(null, null);
+        }
+
+        criteria = this._beforeEvaluate('execute', rule, criteria);
+
+        const rejected = this._checkCriteria(rule, criteria);
+        let match = rejected ? null : this._evaluator.match(rule, criteria);
+
+        match = this._afterEvaluate('execute', rule, criteria, match && match.matched ? {rule: rule, result: match.result} : null);
+
+        if (rejected || !match) {
+            return outcome(null, rejected ? {message: rejected, element: criteria} : null);
+        }
+
+        const result = outcome(match, null);
+
+        result.actions = this._actionRunner.run(rule.actions || [], {
+            rule: rule,
+            criteria: criteria,
+            result: match.result,
+            dryRun: dryRun,
+        });
+        result.succeeded = result.actions.every((action) => action.status === 'executed' || action.status === 'planned');
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name evaluateAll
+     * @param {Object} [filter] - Narrows down the stored rules to evaluate.
+     * @param {string} [filter.tag] - Only evaluate the rules with this tag.
+     * @param {Object|function(Rule): Object} criteria - The criteria to evaluate the rules against, or a function
+     * returning the criteria of each rule, e.g. to sanitize untrusted criteria with sanitizeCriteria.
+     * @returns {Array.<RuleMatch>} - The matching rules, the highest priority first.
+     * @description Evaluates every stored rule matching the filter which is enabled and within its schedule, and
+     * returns the ones with a matching root condition. Rules which are not valid are logged and left out, and so are the
+     * rules whose schema rejects their criteria. The criteria of each rule go through the app.rules.beforeEvaluate
+     * hook and its RuleMatch, or null, through the app.rules.afterEvaluate hook.
+     */
+    evaluateAll: function (filter, criteria) {
+        const rules = this._repository.find(filter).filter((rule) => lifecycle.isActive(rule));
+        const valid = [];
+        const validCriteria = [];
+        const eligible = [];
+        const eligibleCriteria = [];
+
+        rules.sort(lifecycle.compareByPriority);
+
+        for (let rule of rules) {
+            let validationResult = this.validate(rule);
+
+            if (!validationResult.isValid) {
+                dw.system.Logger.error('Rule is not valid: ' + validationResult.error.message + ': ' + JSON.stringify(rule));
+                continue;
+            }
+
+            let ruleCriteria = this._beforeEvaluate('evaluateAll', rule, 'function' === typeof criteria ? criteria(rule) : criteria);
+
+            valid.push(rule);
+            validCriteria.push(ruleCriteria);
+
+            if (!this._checkCriteria(rule, ruleCriteria)) {
+                eligible.push(rule);
+                eligibleCriteria.push(ruleCriteria);
+            }
+        }
+
+        const results = this._matchRules(eligible, eligibleCriteria);
+        const matches = [];
+        let next = 0;
+
+        valid.forEach((rule, index) => {
+            let result = eligible[next] === rule ? results[next++] : null;
+            let match = this._afterEvaluate('evaluateAll', rule, validCriteria[index],
+                result && result.matched ? {rule: rule, result: result.result} : null);
+
+            if (match) {
+                matches.push(match);
+            }
+        });
+
+        return matches;
+    },
+
+    /**
+     * @method
+     * @name evaluateRules
+     * @param {Array.<(Rule|string)>} rules - The rules to evaluate, or the ids of stored rules.
+     * @param {Object} criteria - The criteria to evaluate the rules against.
+     * @returns {Array.<boolean>} - The result of each rule, in the order of the rules, the same as evaluate would return.
+     * @description Evaluates a set of rules against the same criteria, e.g. every slot of a page, in a single
+     * evaluation: each field and fact is resolved once and a constraint held by several rules is only checked once.
+     * The criteria and the result of each active rule go through the app.rules.beforeEvaluate and
+     * app.rules.afterEvaluate hooks, and the rules whose criteria the hook replaces are evaluated apart.
+     */
+    evaluateRules: function (rules, criteria) {
+        const results = [];
+        const active = [];
+        const eligible = [];
+        const eligibleCriteria = [];
+        const indexes = [];
+
+        rules.forEach((rule, index) => {
+            // if the rule is a string, it is a reference to another rule
+            if (typeof rule === 'string') {
+                rule = this._getById(rule);
+            }
+
+            let validationResult = this.validate(rule);
+
+            results.push(false);
+
+            if (!validationResult.isValid) {
+                dw.system.Logger.error('Rule is not valid: ' + validationResult.error.message + ': ' + JSON.stringify(rule));
+            } else if (lifecycle.isActive(rule)) {
+                let ruleCriteria = this._beforeEvaluate('evaluateRules', rule, criteria);
+
+                active.push({index: index, rule: rule, criteria: ruleCriteria});
+
+                if (!this._checkCriteria(rule, ruleCriteria)) {
+                    eligible.push(rule);
+                    eligibleCriteria.push(ruleCriteria);
+                    indexes.push(index);
+                }
+            }
+        });
+
+        this._matchRules(eligible, eligibleCriteria).forEach((match, i) => {
+            results[indexes[i]] = match.matched && (typeof match.result === 'boolean' ? match.result : true);
+        });
+
+        for (let entry of active) {
+            results[entry.index] = this._afterEvaluate('evaluateRules', entry.rule, entry.criteria, results[entry.index]);
+        }
+
+        return results;
+    },
+
+    /**
+     * @method
+     * @name _matchRules
+     * @param {Array.<Rule>} rules - Valid and active rules.
+     * @param {Array.<Object>} criteria - The criteria of each rule.
+     * @returns {Array.<{matched: boolean, result: *}>} - The match of each rule, in their order.
+     * @description Matches the rules with the Evaluator, in a single evaluation for each of their criteria objects.
+     * @private
+     */
+    _matchRules: function (rules, criteria) {
+        const groups = [];
+        const results = [];
+
+        rules.forEach((rule, index) => {
+            let group = groups.filter((g) => g.criteria === criteria[index])[0];
+
+            if (!group) {
+                group = {criteria: criteria[index], rules: [], indexes: []};
+                groups.push(group);
+            }
+
+            group.rules.push(rule);
+            group.indexes.push(index);
+        });
+
+        for (let group of groups) {
+            this._evaluator.matchAll(group.rules, group.criteria).forEach((match, i) => {
+                results[group.indexes[i]] = match;
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * @method
+     * @name _beforeEvaluate
+     * @param {EvaluationMethod} method - The method evaluating the rule.
+     * @param {Rule} rule - A valid and active rule.
+     * @param {Object|Array.<Object>} criteria - The criteria, or a batch of them.
+     * @returns {Object|Array.<Object>} - The criteria as set by the app.rules.beforeEvaluate hook.
+     * @private
+     */
+    _beforeEvaluate: function (method, rule, criteria) {
+        if (!hooks.has('beforeEvaluate')) {
+            return criteria;
+        }
+
+        const before = (c) => {
+            const payload = {method: method, rule: rule, criteria: c};
+
+            hooks.call('beforeEvaluate', payload);
+
+            return payload.criteria;
+        };
+
+        return criteria instanceof Array ? criteria.map(before) : before(criteria);
+    },
+
+    /**
+     * @method
+     * @name _afterEvaluate
+     * @param {EvaluationMethod} method - The method which evaluated the rule.
+     * @param {Rule} rule - A valid and active rule.
+     * @param {Object|Array.<Object>} criteria - The criteria, or a batch of them.
+     * @param {*} result - The result, or the results of the batch in its order.
+     * @returns {*} - The result, or the results, as set by the app.rules.afterEvaluate hook.
+     * @private
+     */
+    _afterEvaluate: function (method, rule, criteria, result) {
+        if (!hooks.has('afterEvaluate')) {
+            return result;
+        }
+
+        const after = (c, r) => {
+            const payload = {method: method, rule: rule, criteria: c, result: r};
+
+            hooks.call('afterEvaluate', payload);
+
+            return payload.result;
+        };
+
+        return criteria instanceof Array ? criteria.map((c, index) => after(c, result[index])) : after(criteria, result);
+    },
+
+    /**
+     * @method
+     * @name _checkCriteria
+     * @param {Rule} rule - The rule the criteria are evaluated against.
+     * @param {Object} criteria - The criteria.
+     * @returns {string|null} - Why the criteria are rejected, or null if they can be evaluated.
+     * @description Checks the criteria against the schema of the context of the rule, if the schema asks for it. Criteria
+     * which do not match the schema are logged, and rejected if the schema says so.
+     * @private
+     */
+    _checkCriteria: function (rule, criteria) {
+        const schema = 'string' === typeof rule.context ? this._schemas.get(rule.context) : null;
+
+        if (!schema || schema.onInvalidCriteria === 'ignore') {
+            return null;
+        }
+
+        const problems = this._schemas.checkCriteria(schema, criteria);
+
+        if (!problems.length) {
+            return null;
+        }
+
+        if (schema.onInvalidCriteria === 'log') {
+            dw.system.Logger.warn('The criteria of rule {0} do not match the schema of the context {1}: {2}', rule.id, rule.context, problems.join('; '));
+            return null;
+        }
+
+        dw.system.Logger.error('The criteria of rule {0} do not match the schema of the context {1} and are rejected: {2}', rule.id, rule.context, problems.join('; '));
+
+        return `The criteria do not match the schema of the context "${rule.context}": ${problems.join('; ')}.`;
+    },
+
+    /**
+     * @method
+     * @name _guardCriteria
+     * @param {Rule} rule - The rule the criteria are evaluated against.
+     * @param {Object|Array.<Object>} criteria - The criteria, or a batch of them.
+     * @param {function(string): *} reject - Gives the result for criteria which are rejected, from the reason.
+     * @param {function((Object|Array.<Object>)): *} evaluate - Evaluates the criteria which are not rejected, or the
+     * batch of them.
+     * @returns {*} - The result, or the results of the batch in its order.
+     * @private
+     */
+    _guardCriteria: function (rule, criteria, reject, evaluate) {
+        if (!(criteria instanceof Array)) {
+            let error = this._checkCriteria(rule, criteria);
+
+            return error ? reject(error) : evaluate(criteria);
+        }
+
+        const errors = criteria.map((c) => this._checkCriteria(rule, c));
+
+        if (errors.every((error) => !error)) {
+            return evaluate(criteria);
+        }
+
+        // the rest of the batch is still evaluated together
+        const results = evaluate(criteria.filter((c, index) => !errors[index]));
+        let next = 0;
+
+        return errors.map((error) => (error ? reject(error) : results[next++]));
+    },
+
+    /**
+     * @method
+     * @name allocate
+     * @param {Allocation} allocation - The experiment to allocate a variant of.
+     * @param {Object} criteria - The criteria holding the value to allocate. Facts are resolved as for constraints.
+     * @returns {string|null} - The name of the variant, or null if the value is missing or falls outside of every
+     * variant, e.g. when the weights add up to less than 100.
+     * @description Allocates a variant of an experiment deterministically: the same value is always allocated the same
+     * variant, with the same buckets as the "in bucket" operator.
+     */
+    allocate: function (allocation, criteria) {
+        const error = !allocation || 'string' !== typeof allocation.salt || !allocation.salt || !this._objectDiscovery.isValidPath(allocation.field)
+            ? 'An allocation must have a "field" and a "salt"'
+            : bucketing.validateVariants(allocation.variants);
+
+        if (error) {
+            dw.system.Logger.error('Invalid allocation: {0}: {1}', error, JSON.stringify(allocation));
+            return null;
+        }
+
+        const value = this._evaluator.resolve(allocation.field, criteria || {});
+
+        return bucketing.isBucketable(value) ? bucketing.allocate(allocation.salt, value, allocation.variants) : null;
+    },
+
+    /**
+     * @method
+     * @name sanitizeCriteria
+     * @param {Rule} rule - The rule the criteria are meant for.
+     * @param {Object} criteria - Criteria supplied by an untrusted client, e.g. the mobile app.
+     * @returns {Object} - The criteria the client is allowed to supply.
+     * @description Keeps only the criteria on the "clientFields" allow-list of the rule. Fields which are provided by a
+     * fact are dropped even when they are allowed, so a client cannot override what the server knows, e.g. the groups
+     * of the customer. The facts are then resolved on the server when the rule needs them.
+     */
+    sanitizeCriteria: function (rule, criteria) {
+        // if the rule is a string, it is a reference to another rule
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        const sanitized = {};
+
+        if (!rule || !(rule.clientFields instanceof Array) || !this._objectDiscovery.isObject(criteria)) {
+            return sanitized;
+        }
+
+        for (let field of rule.clientFields) {
+            let segments = String(field).split('.');
+
+            if (segments.some((segment) => constants.UNSAFE_KEYS.indexOf(segment) !== -1)) {
+                continue;
+            }
+
+            let value = this._objectDiscovery.resolveNestedProperty(field, criteria);
+
+            if (undefined === value || this._facts.find(field)) {
+                continue;
+            }
+
+            let parent = sanitized;
+
+            for (let segment of segments.slice(0, -1)) {
+                if (!this._objectDiscovery.isObject(parent[segment])) {
+                    parent[segment] = {};
+                }
+
+                parent = parent[segment];
+            }
+
+            parent[segments[segments.length - 1]] = this._withoutFacts(value, field);
+        }
+
+        return sanitized;
+    },
+
+    /**
+     * @method
+     * @name _withoutFacts
+     * @param {*} value - A value supplied by a client.
+     * @param {string} path - The criteria path of the value.
+     * @returns {*} - The value without the nested properties which are provided by a fact, nor the keys reaching the
+     * prototype.
+     * @private
+     */
+    _withoutFacts: function (value, path) {
+        if (!this._objectDiscovery.isObject(value)) {
+            return value;
+        }
+
+        const result = {};
+
+        for (let key of Object.keys(value)) {
+            // e.g. an own "__proto__" key, which JSON.parse keeps, would set the prototype of the result
+            if (constants.UNSAFE_KEYS.indexOf(key) === -1 && !this._facts.get(path + '.' + key)) {
+                result[key] = this._withoutFacts(value[key], path + '.' + key);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * @method
+     * @name parse
+     * @param {string} text - The rule in the text syntax, e.g. all(authenticated equals true, gender in [1, 2]).
+     * @returns {Rule} - The rule, with its conditions and its default if one is given.
+     * @throws {Error} - A RuleSyntaxError with the line and column of the problem if the text is not valid.
+     * @description Parses a rule written in the text syntax into the condition/constraint JSON. The parsed rule is not
+     * validated, use validate for that.
+     */
+    parse: function (text) {
+        return this._expression.parse(text);
+    },
+
+    /**
+     * @method
+     * @name print
+     * @param {Rule} rule - The rule to print.
+     * @returns {string} - The rule in the text syntax.
+     * @description Prints a rule in the text syntax.
+     */
+    print: function (rule) {
+        // if the rule is a string, it is a reference to another rule
+        if (typeof rule === 'string') {
+            rule = this._getById(rule);
+        }
+
+        return this._expression.print(rule);
     }
 });
 
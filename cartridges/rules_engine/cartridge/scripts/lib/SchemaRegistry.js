@@ -0,0 +1,265 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
+const dates = require('~/cartridge/scripts/util/dates');
+
+/**
+ * @typedef {import('./schema.jsdoc').CriteriaSchema} CriteriaSchema
+ * @typedef {import('./schema.jsdoc').FieldDefinition} FieldDefinition
+ */
+
+const TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object'];
+const MODES = ['ignore', 'log', 'reject'];
+const KEY = /^[A-Za-z_$][\w$]*(?:\[\])*(?:\.[A-Za-z_$][\w$]*(?:\[\])*)*$/;
+const INDEX = /\[(?:\d+|\*)\]/g;
+
+/**
+ * @param {string} type - A type of the schema.
+ * @returns {string} - The type with its article, e.g. "an array".
+ */
+function withArticle(type) {
+    return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+}
+
+/**
+ * @class
+ * @name SchemaRegistry
+ * @description A registry of the criteria schemas by context, e.g. "mobile-app-home". A rule with a "context" is
+ * type-checked against the schema of the context when it is validated: its fields must be declared and its operators
+ * and values must suit their types. The criteria passed to the evaluation of the rule can be checked against it too.
+ * @property {Object.<string, CriteriaSchema>} _schemas - The registered schemas by context.
+ * @property {ObjectDiscovery} _objectDiscovery - An instance of the ObjectDiscovery class.
+ */
+const SchemaRegistry = Class.extend({
+    /**
+     * @constructor
+     */
+    init: function () {
+        this._schemas = {};
+        this._objectDiscovery = new ObjectDiscovery();
+    },
+
+    /**
+     * @method
+     * @name register
+     * @param {string} context - The context the schema applies to, as used in the "context" of a rule.
+     * @param {CriteriaSchema} schema - The schema of the criteria of the context.
+     * @description Registers a criteria schema. Registering a schema under an existing context replaces it.
+     */
+    register: function (context, schema) {
+        if ('string' !== typeof context || !context) {
+            throw new Error('The context of a schema must be a non empty string.');
+        }
+
+        if (!this._objectDiscovery.isObject(schema) || !this._objectDiscovery.isObject(schema.fields)) {
+            throw new Error(`The schema of the context "${context}" must have "fields".`);
+        }
+
+        const mode = schema.onInvalidCriteria || 'ignore';
+
+        if (MODES.indexOf(mode) === -1) {
+            throw new Error(`The "onInvalidCriteria" of the schema of the context "${context}" must be one of ${MODES.join(', ')}.`);
+        }
+
+        for (let key of Object.keys(schema.fields)) {
+            let error = !KEY.test(key) || /\[\]$/.test(key)
+                ? 'is not a valid path, declare the elements of an array with "items"'
+                : this._validateDefinition(schema.fields[key]);
+            let array = key.lastIndexOf('[]');
+
+            // the properties of the elements of an array need the array itself
+            if (!error && array !== -1 && (schema.fields[key.slice(0, array)] || {}).type !== 'array') {
+                error = `needs "${key.slice(0, array)}" to be declared as an array`;
+            }
+
+            if (error) {
+                throw new Error(`The field "${key}" of the schema of the context "${context}" ${error}.`);
+            }
+        }
+
+        this._schemas[context] = {
+            fields: schema.fields,
+            onInvalidCriteria: mode,
+        };
+    },
+
+    /**
+     * @method
+     * @name get
+     * @param {string} context - The context.
+     * @returns {CriteriaSchema|null} - The schema of the context, or null if none is registered.
+     */
+    get: function (context) {
+        return Object.prototype.hasOwnProperty.call(this._schemas, context) ? this._schemas[context] : null;
+    },
+
+    /**
+     * @method
+     * @name names
+     * @returns {Array.<string>} - The contexts which have a schema.
+     */
+    names: function () {
+        return Object.keys(this._schemas);
+    },
+
+    /**
+     * @method
+     * @name field
+     * @param {CriteriaSchema} schema - The schema.
+     * @param {string} path - A criteria path, e.g. "basket.productLineItems[0].price".
+     * @returns {FieldDefinition|null} - The definition of the value the path resolves to, or null if the schema does
+     * not declare it. A path with a wildcard resolves to an array of the values.
+     */
+    field: function (schema, path) {
+        const key = path.replace(INDEX, '[]');
+        let definition = Object.prototype.hasOwnProperty.call(schema.fields, key) ? schema.fields[key] : null;
+
+        // an index on a path of the schema picks one of its elements
+        if (!definition && /\[\]$/.test(key)) {
+            let array = this.field(schema, key.slice(0, -2));
+
+            definition = array && array.type === 'array' && array.items ? array.items : null;
+        }
+
+        return definition && path.indexOf('[*]') !== -1 ? {type: 'array', items: definition} : definition;
+    },
+
+    /**
+     * @method
+     * @name checkValue
+     * @param {FieldDefinition} definition - The definition the value should match.
+     * @param {*} value - A value, not null.
+     * @returns {string|null} - What the value does not match, or null if it matches.
+     */
+    checkValue: function (definition, value) {
+        if (!this._hasType(definition.type, value)) {
+            return `expected ${withArticle(definition.type)}, got ${JSON.stringify(value)}`;
+        }
+
+        if (Array.isArray(definition.enum) && definition.enum.indexOf(value) === -1) {
+            return `expected one of ${JSON.stringify(definition.enum)}, got ${JSON.stringify(value)}`;
+        }
+
+        if (definition.type === 'array' && definition.items) {
+            for (let i = 0; i < value.length; i++) {
+                let error = value[i] === null || value[i] === undefined ? null : this.checkValue(definition.items, value[i]);
+
+                if (error) {
+                    return `element ${i}: ${error}`;
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * @method
+     * @name checkCriteria
+     * @param {CriteriaSchema} schema - The schema.
+     * @param {Object} criteria - The criteria to check.
+     * @returns {Array.<string>} - The problems of the criteria, empty if they match the schema. Fields the schema does
+     * not declare are allowed.
+     */
+    checkCriteria: function (schema, criteria) {
+        if (!this._objectDiscovery.isObject(criteria)) {
+            return ['The criteria must be an object'];
+        }
+
+        const problems = [];
+
+        for (let key of Object.keys(schema.fields)) {
+            let definition = schema.fields[key];
+
+            for (let entry of this._collect(key, criteria, '')) {
+                let error = entry.value === null || entry.value === undefined
+                    ? (definition.required === true ? 'is required' : null)
+                    : this.checkValue(definition, entry.value);
+
+                if (error) {
+                    problems.push(`${entry.path}: ${error}`);
+                }
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * @method
+     * @name _collect
+     * @param {string} key - A path of the schema, with [] for the elements of an array.
+     * @param {Object} target - The criteria, or an element of an array of the criteria.
+     * @param {string} prefix - The path of the target in the criteria.
+     * @returns {Array.<{path: string, value: *}>} - The values the path resolves to, one per element of the arrays on
+     * the path, with their paths in the criteria.
+     * @private
+     */
+    _collect: function (key, target, prefix) {
+        const array = key.indexOf('[]');
+
+        if (array === -1) {
+            return [{path: prefix + key, value: this._objectDiscovery.resolveNestedProperty(key, target)}];
+        }
+
+        const parent = key.slice(0, array);
+        const elements = this._objectDiscovery.resolveNestedProperty(parent, target);
+        const rest = key.slice(array + 2).replace(/^\./, '');
+
+        // the array itself is checked under its own path
+        if (!Array.isArray(elements)) {
+            return [];
+        }
+
+        return elements.reduce((entries, element, index) => entries.concat(
+            element === null || element === undefined ? [] : this._collect(rest, element, `${prefix}${parent}[${index}].`)
+        ), []);
+    },
+
+    /**
+     * @method
+     * @name _hasType
+     * @param {string} type - A type of the schema.
+     * @param {*} value - A value, not null.
+     * @returns {boolean} - Whether the value is of the type.
+     * @private
+     */
+    _hasType: function (type, value) {
+        switch (type) {
+            case 'number':
+                return 'number' === typeof value && isFinite(value);
+            case 'date':
+                return !!dates.toDate(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return this._objectDiscovery.isObject(value);
+            default:
+                return type === typeof value;
+        }
+    },
+
+    /**
+     * @method
+     * @name _validateDefinition
+     * @param {*} definition - The definition of a field.
+     * @returns {string|null} - What is wrong with the definition, or null if it is valid.
+     * @private
+     */
+    _validateDefinition: function (definition) {
+        if (!this._objectDiscovery.isObject(definition) || TYPES.indexOf(definition.type) === -1) {
+            return `must have a "type" in ${TYPES.join(', ')}`;
+        }
+
+        if ('enum' in definition && !(Array.isArray(definition.enum) && definition.enum.length && definition.enum.every((value) => this._hasType(definition.type, value)))) {
+            return `must have an "enum" of ${definition.type} values`;
+        }
+
+        if ('items' in definition) {
+            return definition.type === 'array' ? this._validateDefinition(definition.items) : 'can only have "items" if it is an array';
+        }
+
+        return null;
+    }
+});
+
+module.exports = SchemaRegistry;
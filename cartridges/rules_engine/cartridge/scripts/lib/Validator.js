@@ -1,12 +1,23 @@
 const Class = require('~/cartridge/scripts/util/Class').Class;
 const ObjectDiscovery = require('~/cartridge/scripts/lib/ObjectDiscovery');
-const getConditionsByRoleId = require('~/cartridge/scripts/util/getConditionsByRoleId');
+const ValueExpression = require('~/cartridge/scripts/lib/ValueExpression');
+const constants = require('~/cartridge/scripts/util/constants');
+const dates = require('~/cartridge/scripts/util/dates');
+const json = require('~/cartridge/scripts/util/json');
 
 /**
  * @typedef {import('./rule.jsdoc').Rule} Rule
  * @typedef {import('./constraint.jsdoc').Constraint} Constraint
  * @typedef {import('./operator.jsdoc').Operator} Operator
  * @typedef {import('./condition.jsdoc').Condition} Condition
+ * @typedef {import('./quantifier.jsdoc').Quantifier} Quantifier
+ * @typedef {import('./OperatorRegistry')} OperatorRegistry
+ * @typedef {import('./ActionRegistry')} ActionRegistry
+ * @typedef {import('./action.jsdoc').Action} Action
+ * @typedef {import('./RuleRepository')} RuleRepository
+ * @typedef {import('./SchemaRegistry')} SchemaRegistry
+ * @typedef {import('./schema.jsdoc').CriteriaSchema} CriteriaSchema
+ * @typedef {import('./schema.jsdoc').FieldDefinition} FieldDefinition
  */
 
 /**
@@ -17,70 +28,404 @@ const getConditionsByRoleId = require('~/cartridge/scripts/util/getConditionsByR
  * @property {Object} error.element - The element that caused the error.
  */
 
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} code - A stable code identifying the kind of problem, e.g. UNKNOWN_OPERATOR.
+ * @property {('error' | 'warning')} severity - Errors make the rule invalid, warnings point at likely mistakes.
+ * @property {string} message - A description of the problem.
+ * @property {string} pointer - The JSON pointer of the offending element in the rule, e.g. /conditions/0/all/3/operator.
+ * @property {*} element - The offending element.
+ * @property {Array.<string>} [references] - The ids of the referenced rules expanded to reach the problem, if it is in
+ * a referenced rule. The pointer is then the one of the reference in the rule.
+ */
+
+/**
+ * @typedef {Object} DiagnosticsResult
+ * @property {boolean} isValid - Whether the rule has no errors, same as returned by validate.
+ * @property {Array.<Diagnostic>} diagnostics - The errors and warnings, in the order of the rule.
+ */
+
+/**
+ * The state of a diagnosis, shared by the nodes of a rule and replaced when a referenced rule is expanded.
+ * @typedef {Object} DiagnosisState
+ * @property {Array.<Diagnostic>} diagnostics - Collects the diagnostics.
+ * @property {{pointer: string, ids: Array.<string>}|null} reference - The outermost reference expanded to reach the
+ * current node and the ids of the referenced rules expanded since, null in the rule itself.
+ * @property {CriteriaSchema|null} schema - The criteria schema of the rule the current node belongs to, null if it has
+ * none.
+ * @property {string} context - The context of the schema.
+ * @property {string} scope - The path of the items the fields of the current node are relative to, with a trailing
+ * dot, e.g. "basket.productLineItems[]." in the "where" of a quantifier. Empty outside of quantifiers.
+ * @property {Array.<string>} clientFields - The criteria paths a client can supply, from the "clientFields" of the
+ * diagnosed rule. They also apply to the rules it references, which are evaluated against the same criteria.
+ */
+
+const NUMERIC_STRING = /^\s*-?\d+(?:\.\d+)?\s*$/;
+const PATTERN_LITERAL = /^\/.+\/[gimsuy]*$/;
+const PATTERN_OPERATORS = ['matches', 'does not match'];
+const INDEX = /\[(?:\d+|\*)\]/g;
+const pointerTo = json.pointerTo;
+
 /**
  * @class
  * @name Validator
  * @description A class that validates rules. It checks if the rule is a valid JSON object and if it contains at least one condition.
+ * The whole rule is checked, so every problem can be reported along with where it is.
  * @property {ObjectDiscovery} _objectDiscovery - The rules that are existing in the system.
- * @property {Array.<Rule>} _rules - The rules that are existing in the system.
+ * @property {RuleRepository} _repository - The repository the referenced rules are loaded from.
+ * @property {OperatorRegistry} _operators - The operators available to constraints.
+ * @property {ValueExpression} _valueExpression - The parser of the arithmetic expressions used as constraint values.
+ * @property {SchemaRegistry|null} _schemas - The criteria schemas the rules with a context are type-checked against.
+ * @property {ActionRegistry|null} _actions - The actions the rules can declare.
  */
 const Validator = Class.extend({
     /**
      * @constructor
-     * @param {Array.<Rule>} rules - The rules that are existing in the system.
+     * @param {RuleRepository} repository - The repository the referenced rules are loaded from.
+     * @param {OperatorRegistry} operators - The operators available to constraints.
+     * @param {SchemaRegistry} [schemas] - The criteria schemas the rules with a context are type-checked against.
+     * @param {ActionRegistry} [actions] - The actions the rules can declare. Rules cannot declare actions without it.
      */
-    init: function (rules) {
+    init: function (repository, operators, schemas, actions) {
         this._objectDiscovery = new ObjectDiscovery();
-        this._rules = rules;
+        this._repository = repository;
+        this._operators = operators;
+        this._schemas = schemas || null;
+        this._actions = actions || null;
+        this._valueExpression = new ValueExpression();
     },
 
     /**
      * @method
      * @name validate
      * @param {Rule} rule - The rule to validate.
-     * @returns {Object} - The result of the validation.
+     * @returns {ValidationResult} - The result of the validation, with the first error of the rule if it is not valid.
      * @description Validates a rule. It checks if the rule is a valid JSON object and if it contains at least one condition.
      */
     validate: function (rule) {
-        const result = {isValid: true};
+        const error = this._diagnose(rule).filter((diagnostic) => diagnostic.severity === 'error')[0];
+
+        if (!error) {
+            return {isValid: true};
+        }
+
+        return {
+            isValid: false,
+            error: {
+                message: error.message,
+                element: error.element,
+            },
+        };
+    },
+
+    /**
+     * @method
+     * @name diagnose
+     * @param {Rule} rule - The rule to diagnose.
+     * @returns {DiagnosticsResult} - Every error of the rule, and warnings about likely mistakes.
+     * @description Validates a rule like validate does, but reports all the problems instead of the first one.
+     */
+    diagnose: function (rule) {
+        const diagnostics = this._diagnose(rule);
+
+        return {
+            isValid: !diagnostics.some((diagnostic) => diagnostic.severity === 'error'),
+            diagnostics: diagnostics,
+        };
+    },
+
+    /**
+     * @method
+     * @name _diagnose
+     * @param {Rule} rule - The rule to diagnose.
+     * @returns {Array.<Diagnostic>} - The errors and warnings of the rule.
+     * @private
+     */
+    _diagnose: function (rule) {
+        const state = {diagnostics: [], reference: null, schema: null, context: null, scope: '', clientFields: []};
 
         // Check the rule is a valid JSON
         if (!this._objectDiscovery.isObject(rule)) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'The rule must be a valid JSON object.',
-                    element: rule,
-                },
-            };
+            this._report(state, 'error', 'INVALID_RULE', 'The rule must be a valid JSON object.', rule, '');
+            return state.diagnostics;
         }
 
-        const conditions =
-            rule.conditions instanceof Array ? rule.conditions : [rule.conditions];
+        state.schema = this._schemaOf(rule);
+        state.context = state.schema ? rule.context : null;
+        state.clientFields = rule.clientFields instanceof Array ? rule.clientFields.filter((field) => 'string' === typeof field) : [];
+
+        const isList = rule.conditions instanceof Array;
+        const conditions = isList ? rule.conditions : [rule.conditions];
 
         if (
             conditions.length === 0 ||
             (this._objectDiscovery.isObject(conditions[0]) &&
                 !Object.keys(conditions[0]).length)
         ) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'The conditions property must contain at least one condition.',
-                    element: rule,
-                },
-            };
+            this._report(state, 'error', 'NO_CONDITIONS', 'The conditions property must contain at least one condition.', rule, '/conditions');
+        } else {
+            // The path of references starts at the rule itself, so a rule referencing itself is detected as a cycle.
+            const path = typeof rule.id === 'string' ? [rule.id] : [];
+
+            conditions.forEach((condition, index) => {
+                this._validateCondition(condition, 0, path, isList ? pointerTo('/conditions', index) : '/conditions', state);
+            });
         }
 
-        // Validate each condition in the rule.
-        for (let condition of conditions) {
-            let subResult = this._validateCondition(condition);
+        this._validateMetadata(rule, state);
+        this._validateResults(rule, conditions, isList, state);
+
+        return state.diagnostics;
+    },
+
+    /**
+     * @method
+     * @name _report
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @param {('error' | 'warning')} severity - The severity of the problem.
+     * @param {string} code - The code of the problem.
+     * @param {string} message - The description of the problem.
+     * @param {*} element - The offending element.
+     * @param {string} pointer - The JSON pointer of the offending element.
+     * @description Adds a diagnostic. The problems of a referenced rule are reported on the reference, and only if they
+     * are errors: its warnings are reported when the referenced rule itself is diagnosed.
+     * @private
+     */
+    _report: function (state, severity, code, message, element, pointer) {
+        const diagnostic = {
+            code: code,
+            severity: severity,
+            message: message,
+            pointer: pointer,
+            element: element,
+        };
+
+        if (state.reference) {
+            if (severity !== 'error') {
+                return;
+            }
 
-            result.isValid = result.isValid && subResult.isValid;
-            result.error = result.error ? result.error : subResult.error;
+            diagnostic.pointer = state.reference.pointer;
+            diagnostic.references = state.reference.ids;
         }
 
-        return result;
+        state.diagnostics.push(diagnostic);
+    },
+
+    /**
+     * @method
+     * @name _schemaOf
+     * @param {Rule} rule - A rule.
+     * @returns {CriteriaSchema|null} - The criteria schema of the context of the rule, or null if it has none.
+     * @private
+     */
+    _schemaOf: function (rule) {
+        return this._schemas && 'string' === typeof rule.context ? this._schemas.get(rule.context) : null;
+    },
+
+    /**
+     * @method
+     * @name _validateMetadata
+     * @param {Rule} rule - The rule to validate.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates the metadata of a rule: the enabled flag, the schedule window, the priority, the tags, the
+     * client fields, the test cases, the actions and the context. All of them are optional.
+     * @private
+     */
+    _validateMetadata: function (rule, state) {
+        const invalid = (code, property, message) => this._report(state, 'error', code, message, rule, pointerTo('', property));
+
+        if ('enabled' in rule && typeof rule.enabled !== 'boolean') {
+            invalid('INVALID_ENABLED', 'enabled', 'The "enabled" property of a rule must be a boolean.');
+        }
+
+        let schedule = {};
+
+        for (let property of ['startDate', 'endDate']) {
+            if (rule[property] === undefined || rule[property] === null) {
+                continue;
+            }
+
+            schedule[property] = dates.toDate(rule[property]);
+
+            if (!schedule[property]) {
+                invalid('INVALID_DATE', property, `The "${property}" property of a rule must be a timestamp or an ISO 8601 date.`);
+            }
+        }
+
+        if (schedule.startDate && schedule.endDate && schedule.startDate.getTime() >= schedule.endDate.getTime()) {
+            invalid('INVALID_SCHEDULE', 'endDate', 'The "startDate" of a rule must be before its "endDate".');
+        }
+
+        if ('priority' in rule && !('number' === typeof rule.priority && isFinite(rule.priority))) {
+            invalid('INVALID_PRIORITY', 'priority', 'The "priority" property of a rule must be a number.');
+        }
+
+        if ('tags' in rule && !(rule.tags instanceof Array && rule.tags.every((tag) => typeof tag === 'string'))) {
+            invalid('INVALID_TAGS', 'tags', 'The "tags" property of a rule must be an array of strings.');
+        }
+
+        if ('clientFields' in rule && !(rule.clientFields instanceof Array && rule.clientFields.every((field) => this._objectDiscovery.isPlainPath(field)))) {
+            invalid('INVALID_CLIENT_FIELDS', 'clientFields', 'The "clientFields" property of a rule must be an array of criteria paths, without indexes or wildcards.');
+        } else if ('clientFields' in rule && rule.clientFields.some((field) => field.split('.').some((segment) => constants.UNSAFE_KEYS.includes(segment)))) {
+            invalid('INVALID_CLIENT_FIELDS', 'clientFields', `The "clientFields" of a rule cannot have a ${constants.UNSAFE_KEYS.join(', ')} segment.`);
+        }
+
+        if ('tests' in rule && !(rule.tests instanceof Array)) {
+            invalid('INVALID_TESTS', 'tests', 'The "tests" property of a rule must be an array of test cases.');
+        } else if ('tests' in rule) {
+            rule.tests.forEach((test, index) => {
+                if (!this._objectDiscovery.isObject(test) || !this._objectDiscovery.isObject(test.criteria) || !('expected' in test) || ('name' in test && 'string' !== typeof test.name)) {
+                    this._report(state, 'error', 'INVALID_TESTS', 'A test case must be an object with "criteria", an "expected" decision and an optional "name".',
+                        test, pointerTo('/tests', index));
+                }
+            });
+        }
+
+        if ('actions' in rule && !(rule.actions instanceof Array)) {
+            invalid('INVALID_ACTIONS', 'actions', 'The "actions" property of a rule must be an array of actions.');
+        } else if ('actions' in rule) {
+            rule.actions.forEach((action, index) => this._validateAction(action, pointerTo('/actions', index), state));
+        }
+
+        if (rule.context === undefined || rule.context === null) {
+            return;
+        }
+
+        if ('string' !== typeof rule.context || !rule.context) {
+            invalid('INVALID_CONTEXT', 'context', 'The "context" property of a rule must be a non empty string.');
+        } else if (!this._schemaOf(rule)) {
+            this._report(state, 'warning', 'UNKNOWN_CONTEXT',
+                `No criteria schema is registered for the context "${rule.context}", the constraints of the rule are not type-checked.`, rule, '/context');
+        }
+    },
+
+    /**
+     * @method
+     * @name _validateAction
+     * @param {Action} action - An action of the rule.
+     * @param {string} pointer - The JSON pointer of the action.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates that an action names a registered action, and that its parameters are valid for it.
+     * @private
+     */
+    _validateAction: function (action, pointer, state) {
+        if (!this._objectDiscovery.isObject(action) || 'string' !== typeof action.action || ('params' in action && !this._objectDiscovery.isObject(action.params))) {
+            this._report(state, 'error', 'INVALID_ACTIONS', 'An action must be an object with the name of an "action" and optional "params".', action, pointer);
+            return;
+        }
+
+        const definition = this._actions ? this._actions.get(action.action) : null;
+
+        if (!definition) {
+            this._report(state, 'error', 'UNKNOWN_ACTION', `The action "${action.action}" is not registered.`, action, pointerTo(pointer, 'action'));
+            return;
+        }
+
+        const message = definition.validateParams ? definition.validateParams(action.params || {}) : null;
+
+        if (message) {
+            this._report(state, 'error', 'INVALID_ACTION_PARAMS', message, action, pointerTo(pointer, 'params'));
+        }
+    },
+
+    /**
+     * @method
+     * @name _validateResults
+     * @param {Rule} rule - The rule to validate.
+     * @param {Array.<Condition>} conditions - The root conditions of the rule.
+     * @param {boolean} isList - Whether the conditions of the rule are an array.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates that the results of the root conditions and the default of the rule share the same shape,
+     * so the caller of a decision list always gets the same kind of payload. A root condition without a result decides
+     * true, so it has the shape boolean. A null result, or a null value nested in an object result, is compatible with
+     * any shape.
+     * @private
+     */
+    _validateResults: function (rule, conditions, isList, state) {
+        const payloads = [];
+        const accepted = [];
+
+        conditions.forEach((condition, index) => {
+            let pointer = isList ? pointerTo('/conditions', index) : '/conditions';
+
+            if (this._objectDiscovery.isObject(condition) && 'result' in condition) {
+                payloads.push({value: condition.result, element: condition, pointer: pointerTo(pointer, 'result')});
+            } else {
+                payloads.push({value: true, element: condition, pointer: pointer});
+            }
+        });
+
+        if ('default' in rule) {
+            payloads.push({value: rule.default, element: rule, pointer: '/default'});
+        }
+
+        for (let payload of payloads) {
+            let conflict = accepted.find((other) => !this._shapesCompatible(other.value, payload.value));
+
+            if (conflict) {
+                this._report(state, 'error', 'RESULT_SHAPE_MISMATCH',
+                    `The results of a rule must share the same shape. Expected ${this._payloadShape(conflict.value)} but got ${this._payloadShape(payload.value)}.`,
+                    payload.element, payload.pointer);
+            } else {
+                accepted.push(payload);
+            }
+        }
+    },
+
+    /**
+     * @method
+     * @name _shapesCompatible
+     * @param {*} left - A payload.
+     * @param {*} right - Another payload.
+     * @returns {boolean} - Whether both payloads have the same type, and for objects the same keys with compatible
+     * values. A null on either side is compatible with anything.
+     * @private
+     */
+    _shapesCompatible: function (left, right) {
+        if (left === null || typeof left === 'undefined' || right === null || typeof right === 'undefined') {
+            return true;
+        }
+
+        if (Array.isArray(left) || Array.isArray(right)) {
+            return Array.isArray(left) && Array.isArray(right);
+        }
+
+        if (this._objectDiscovery.isObject(left) || this._objectDiscovery.isObject(right)) {
+            if (!this._objectDiscovery.isObject(left) || !this._objectDiscovery.isObject(right)) {
+                return false;
+            }
+
+            let keys = Object.keys(left).sort();
+
+            return keys.join(',') === Object.keys(right).sort().join(',')
+                && keys.every((key) => this._shapesCompatible(left[key], right[key]));
+        }
+
+        return typeof left === typeof right;
+    },
+
+    /**
+     * @method
+     * @name _payloadShape
+     * @param {*} value - The payload to describe.
+     * @returns {string} - A description of the shape of the payload, e.g. {id:string,priority:number}.
+     * @private
+     */
+    _payloadShape: function (value) {
+        if (value === null || typeof value === 'undefined') {
+            return 'null';
+        }
+
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+
+        if (this._objectDiscovery.isObject(value)) {
+            return '{' + Object.keys(value).sort().map((key) => key + ':' + this._payloadShape(value[key])).join(',') + '}';
+        }
+
+        return typeof value;
     },
 
     /**
@@ -88,186 +433,496 @@ const Validator = Class.extend({
      * @name _validateCondition
      * @param {Object} condition - The condition to validate.
      * @param {number} depth - The depth of the condition in the rule.
-     * @description Validates a condition. It is a private method.
+     * @param {Array.<string>} path - The ids of the rules expanded to reach the condition.
+     * @param {string} pointer - The JSON pointer of the condition.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates a condition and its nodes. A root condition can also be a reference to another rule.
      * @private
      */
-    _validateCondition: function (condition, depth) {
-        if (typeof depth === 'undefined') {
-            depth = 0;
-        }
-
+    _validateCondition: function (condition, depth, path, pointer, state) {
         // Check if the condition is a reference to another rule.
         if (typeof condition === 'string') {
-            condition = getConditionsByRoleId(this._rules, condition);
-        }
+            let reference = this._resolveReference(condition, path, pointer, state);
 
-        const result = this._isValidCondition(condition);
+            if (!reference) {
+                return;
+            }
+
+            condition = reference.conditions;
+            path = reference.path;
+            state = reference.state;
+        }
 
-        if (!result.isValid) {
-            return result;
+        if (!this._isValidCondition(condition, pointer, state)) {
+            return;
         }
 
         const type = this._objectDiscovery.conditionType(condition);
+        const nodes = condition[type];
 
-        if (!Array.isArray(condition[type])) {
-            return {
-                isValid: false,
-                error: {
-                    message: `The condition '${type}' should be iterable.`,
-                    element: condition,
-                },
-            };
+        if (!Array.isArray(nodes)) {
+            this._report(state, 'error', 'INVALID_CONDITION', `The condition '${type}' should be iterable.`, condition, pointerTo(pointer, type));
+            return;
+        }
+
+        // Result is only valid on the root condition.
+        if (depth > 0 && 'result' in condition) {
+            this._report(state, 'error', 'NESTED_RESULT', 'Nested conditions cannot have a property "result".', condition, pointerTo(pointer, 'result'));
+        }
+
+        if (!nodes.length) {
+            this._report(state, 'warning', 'EMPTY_GROUP', `The condition '${type}' has no nodes, so it is always ${type === 'any' ? 'false' : 'true'}.`,
+                condition, pointerTo(pointer, type));
         }
 
-        for (let node of condition[type]) {
-            if (typeof node === 'string') {
-                node = getConditionsByRoleId(this._rules, node);
+        nodes.forEach((node, index) => {
+            this._validateNode(node, depth + 1, path, pointerTo(pointerTo(pointer, type), index), state);
+        });
+    },
+
+    /**
+     * @method
+     * @name _validateNode
+     * @param {Condition | Constraint | Quantifier | string} node - The node to validate.
+     * @param {number} depth - The depth of the node in the rule.
+     * @param {Array.<string>} path - The ids of the rules expanded to reach the node.
+     * @param {string} pointer - The JSON pointer of the node.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @private
+     */
+    _validateNode: function (node, depth, path, pointer, state) {
+        if (typeof node === 'string') {
+            let reference = this._resolveReference(node, path, pointer, state);
+
+            if (!reference) {
+                return;
             }
 
-            let isCondition = this._objectDiscovery.isCondition(node);
-            let isConstraint = this._objectDiscovery.isConstraint(node);
+            node = reference.conditions;
+            path = reference.path;
+            state = reference.state;
+        }
+
+        if (this._objectDiscovery.isCondition(node)) {
+            this._validateCondition(node, depth, path, pointer, state);
+        } else if (this._objectDiscovery.isConstraint(node)) {
+            this._validateConstraint(node, pointer, state);
+        } else if (this._objectDiscovery.isQuantifier(node)) {
+            this._validateQuantifier(node, depth, path, pointer, state);
+        } else {
+            this._report(state, 'error', 'INVALID_NODE', 'Each node should be a condition, constraint or quantifier.', node, pointer);
+        }
+    },
+
+    /**
+     * @method
+     * @name _resolveReference
+     * @param {string} id - The id of the referenced rule.
+     * @param {Array.<string>} path - The ids of the rules already expanded to reach the reference.
+     * @param {string} pointer - The JSON pointer of the reference.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @returns {{conditions: (Condition|Array.<Condition>), path: Array.<string>, state: DiagnosisState}|null} - The
+     * conditions of the referenced rule, the path including it and the state to diagnose them with, or null if the
+     * reference is not valid.
+     * @description Resolves a reference to another rule. It checks that the rule exists, that the reference does not
+     * lead back to a rule on its own path and that the references are not nested deeper than the evaluator expands. A
+     * reference to a rule which is disabled or past its end date is valid, but never matches.
+     * @private
+     */
+    _resolveReference: function (id, path, pointer, state) {
+        const referencePath = path.concat(id);
+
+        if (path.includes(id)) {
+            this._report(state, 'error', 'CIRCULAR_REFERENCE', `Circular rule reference: ${referencePath.join(' -> ')}.`, id, pointer);
+            return null;
+        }
+
+        if (referencePath.length > constants.MAX_REFERENCE_DEPTH) {
+            this._report(state, 'error', 'REFERENCE_TOO_DEEP',
+                `Rule references cannot be nested deeper than ${constants.MAX_REFERENCE_DEPTH} levels: ${referencePath.join(' -> ')}.`, id, pointer);
+            return null;
+        }
+
+        const rule = this._repository.get(id);
+
+        if (!rule) {
+            this._report(state, 'error', 'UNKNOWN_REFERENCE', `Unknown rule reference '${id}': ${referencePath.join(' -> ')}.`, id, pointer);
+            return null;
+        }
+
+        const endDate = rule.endDate !== undefined && rule.endDate !== null ? dates.toDate(rule.endDate) : null;
+
+        if (rule.enabled === false || (endDate && endDate.getTime() <= Date.now())) {
+            this._report(state, 'warning', 'INACTIVE_REFERENCE',
+                `The referenced rule '${id}' is ${rule.enabled === false ? 'disabled' : 'past its end date'}, so it never matches.`, id, pointer);
+        }
+
+        const schema = this._schemaOf(rule);
+
+        // the referenced rule is type-checked against its own schema, if it has one
+        return {
+            conditions: rule.conditions,
+            path: referencePath,
+            state: {
+                diagnostics: state.diagnostics,
+                reference: {
+                    pointer: state.reference ? state.reference.pointer : pointer,
+                    ids: (state.reference ? state.reference.ids : []).concat(id),
+                },
+                schema: schema,
+                context: schema ? rule.context : null,
+                scope: '',
+                clientFields: state.clientFields,
+            },
+        };
+    },
 
-            if (isCondition) {
-                let subResult = this._validateCondition(node, depth + 1);
+    /**
+     * @method
+     * @name _validateQuantifier
+     * @param {Quantifier} quantifier - The quantifier to validate.
+     * @param {number} depth - The depth of the quantifier.
+     * @param {Array.<string>} path - The ids of the referenced rules expanded to reach the quantifier.
+     * @param {string} pointer - The JSON pointer of the quantifier.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates a collection quantifier. It checks the collection path, the quantifier, the comparison of
+     * a "count" quantifier and the condition the items are matched against.
+     * @private
+     */
+    _validateQuantifier: function (quantifier, depth, path, pointer, state) {
+        const isValidPath = this._objectDiscovery.isValidPath(quantifier.collection);
 
-                result.isValid = result.isValid && subResult.isValid;
-                result.error = result.error ? result.error : subResult.error;
-            } else if (isConstraint) {
-                let subResult = this._validateConstraint(node);
+        if (!isValidPath) {
+            this._report(state, 'error', 'INVALID_COLLECTION', 'Quantifier "collection" must be a valid criteria path.', quantifier, pointerTo(pointer, 'collection'));
+        } else if (state.schema) {
+            let collection = this._schemaField(quantifier.collection, quantifier, pointerTo(pointer, 'collection'), state);
 
-                result.isValid = result.isValid && subResult.isValid;
-                result.error = result.error ? result.error : subResult.error;
+            if (collection && collection.type !== 'array') {
+                this._report(state, 'error', 'INCOMPATIBLE_COLLECTION', `Quantifier "collection" must be an array, "${quantifier.collection}" is of type ${collection.type}.`,
+                    quantifier, pointerTo(pointer, 'collection'));
             }
+        }
+
+        if (!constants.QUANTIFIERS.includes(quantifier.quantifier)) {
+            this._report(state, 'error', 'UNKNOWN_QUANTIFIER', `Quantifier "quantifier" must be one of ${constants.QUANTIFIERS.join(', ')}.`,
+                quantifier, pointerTo(pointer, 'quantifier'));
+        }
 
-            if (!isConstraint && !isCondition) {
-                return {
-                    isValid: false,
-                    error: {
-                        message: 'Each node should be a condition or constraint.',
-                        element: node,
-                    },
-                };
+        const isCount = quantifier.quantifier === 'count';
+
+        if (isCount !== ('operator' in quantifier) || isCount !== ('value' in quantifier)) {
+            this._report(state, 'error', 'INVALID_COUNT', 'A "count" quantifier must have an "operator" and a "value", the other quantifiers cannot.',
+                quantifier, pointer);
+        } else if (isCount && this._validateComparison(quantifier, pointer, state) && state.schema) {
+            // The number of matching items is compared like the criterion of a constraint.
+            this._validateTypes(quantifier, {type: 'number'}, 'count', pointer, state);
+        }
+
+        if (!('where' in quantifier)) {
+            return;
+        }
+
+        if (typeof quantifier.where !== 'string' && !this._objectDiscovery.isCondition(quantifier.where)) {
+            this._report(state, 'error', 'INVALID_WHERE', 'Quantifier "where" must be a condition or a rule reference.', quantifier, pointerTo(pointer, 'where'));
+            return;
+        }
+
+        // the fields of the items are declared under the path of the collection, e.g. basket.productLineItems[].price
+        const itemState = !isValidPath ? state : {
+            diagnostics: state.diagnostics,
+            reference: state.reference,
+            schema: state.schema,
+            context: state.context,
+            scope: (state.scope + quantifier.collection).replace(INDEX, '[]') + '[].',
+            clientFields: state.clientFields,
+        };
+
+        this._validateCondition(quantifier.where, depth, path, pointerTo(pointer, 'where'), itemState);
+    },
+
+    /**
+     * @method
+     * @name _validateConstraint
+     * @param {Constraint} constraint - The constraint to validate.
+     * @param {string} pointer - The JSON pointer of the constraint.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @description Validates a constraint. It checks if the field is a string and if the operator is valid. If the rule
+     * has a criteria schema, the field must be declared in it and the operator and the value must suit its type.
+     * @private
+     */
+    _validateConstraint: function (constraint, pointer, state) {
+        const isValidField = 'string' === typeof constraint.field;
+
+        if (!isValidField) {
+            this._report(state, 'error', 'INVALID_FIELD', 'Constraint "field" must be of type string.', constraint, pointerTo(pointer, 'field'));
+        }
+
+        const isValid = this._validateComparison(constraint, pointer, state);
+        const operator = this._operators.get(constraint.operator);
+
+        // the criterion is compiled as the pattern, and a client could supply one which backtracks for ever
+        if (isValidField && operator && PATTERN_OPERATORS.includes(operator.name) && this._isClientField(constraint.field, state)) {
+            this._report(state, 'error', 'CLIENT_PATTERN',
+                `The criterion "${constraint.field}" can be supplied by a client, so it cannot be the pattern of "${operator.name}".`, constraint, pointerTo(pointer, 'field'));
+        }
+
+        if (!state.schema || !isValidField || !this._objectDiscovery.isValidPath(constraint.field)) {
+            return;
+        }
+
+        const field = this._schemaField(constraint.field, constraint, pointerTo(pointer, 'field'), state);
+
+        if (field && isValid) {
+            this._validateTypes(constraint, field, constraint.field, pointer, state);
+        }
+    },
+
+    /**
+     * @method
+     * @name _isClientField
+     * @param {string} path - A criteria path, relative to the scope of the state.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @returns {boolean} - Whether the path is one of the client fields of the rule, or nested in one.
+     * @private
+     */
+    _isClientField: function (path, state) {
+        const absolute = (state.scope + path).replace(/\[[^\]]*\]/g, '');
+
+        return state.clientFields.some((field) => absolute === field || absolute.indexOf(field + '.') === 0);
+    },
+
+    /**
+     * @method
+     * @name _schemaField
+     * @param {string} path - A criteria path, relative to the scope of the state.
+     * @param {Object} element - The element the path belongs to.
+     * @param {string} pointer - The JSON pointer of the path.
+     * @param {DiagnosisState} state - The state of the diagnosis, with a schema.
+     * @returns {FieldDefinition|null} - The definition of the field, or null if the schema does not declare it.
+     * @private
+     */
+    _schemaField: function (path, element, pointer, state) {
+        const field = this._schemas.field(state.schema, state.scope + path);
+
+        if (!field) {
+            this._report(state, 'error', 'UNKNOWN_FIELD', `The field "${path}" is not declared in the criteria schema of the context "${state.context}".`,
+                element, pointer);
+        }
+
+        return field;
+    },
+
+    /**
+     * @method
+     * @name _validateTypes
+     * @param {Constraint | Quantifier} element - A valid constraint, or a valid "count" quantifier.
+     * @param {FieldDefinition} field - The definition of the field the operator applies to.
+     * @param {string} name - The name of the field, for the messages.
+     * @param {string} pointer - The JSON pointer of the element.
+     * @param {DiagnosisState} state - The state of the diagnosis, with a schema.
+     * @description Checks that the operator applies to the type of the field and that the value suits it, as declared
+     * by the types of the operator. Operators without types are not checked.
+     * @private
+     */
+    _validateTypes: function (element, field, name, pointer, state) {
+        const operator = this._operators.get(element.operator);
+        const types = operator.types;
+
+        if (!types) {
+            return;
+        }
+
+        if (types.criterion && types.criterion.indexOf(field.type) === -1) {
+            this._report(state, 'error', 'INCOMPATIBLE_OPERATOR',
+                `The operator "${operator.name}" applies to ${types.criterion.join(', ')} fields, "${name}" is of type ${field.type}.`, element, pointerTo(pointer, 'operator'));
+            return;
+        }
+
+        let expected = null;
+
+        if (types.value === 'same') {
+            expected = field;
+        } else if (types.value === 'list') {
+            expected = {type: 'array', items: field};
+        } else if (types.value === 'item' && field.items) {
+            expected = field.items;
+        } else if (types.value === 'items' && field.items) {
+            expected = {type: 'array', items: field.items};
+        }
+
+        if (expected) {
+            this._validateValueType(expected, element.value, element, pointerTo(pointer, 'value'), state);
+        }
+    },
+
+    /**
+     * @method
+     * @name _validateValueType
+     * @param {FieldDefinition} expected - The definition the value should match.
+     * @param {*} value - The value of a constraint, or an element of it. Null always matches.
+     * @param {Object} element - The constraint the value belongs to.
+     * @param {string} pointer - The JSON pointer of the value.
+     * @param {DiagnosisState} state - The state of the diagnosis, with a schema.
+     * @description Checks the value of a constraint against a definition. A field reference must be declared with the
+     * same type, and an expression computes a number from declared number fields.
+     * @private
+     */
+    _validateValueType: function (expected, value, element, pointer, state) {
+        const incompatible = (message, at) => this._report(state, 'error', 'INCOMPATIBLE_VALUE', message, element, at || pointer);
+
+        if (value === null || value === undefined) {
+            return;
+        }
+
+        if (this._objectDiscovery.isFieldReference(value)) {
+            let field = this._schemaField(value.$field, element, pointerTo(pointer, '$field'), state);
+
+            if (field && field.type !== expected.type) {
+                incompatible(`Constraint "value" references "${value.$field}" of type ${field.type}, expected a value of type ${expected.type}.`, pointerTo(pointer, '$field'));
+            }
+
+            return;
+        }
+
+        if (this._objectDiscovery.isExpression(value)) {
+            for (let path of this._valueExpression.fields(this._valueExpression.parse(value.$expr))) {
+                let field = this._schemaField(path, element, pointerTo(pointer, '$expr'), state);
+
+                if (field && field.type !== 'number') {
+                    incompatible(`The expression uses "${path}" of type ${field.type}, it only operates on numbers.`, pointerTo(pointer, '$expr'));
+                }
             }
 
-            // Result is only valid on the root condition.
-            if (depth > 0 && 'result' in condition) {
-                return {
-                    isValid: false,
-                    error: {
-                        message: 'Nested conditions cannot have a property "result".',
-                        element: node,
-                    },
-                };
+            if (expected.type !== 'number') {
+                incompatible(`Constraint "value" is an expression, which computes a number, expected a value of type ${expected.type}.`);
             }
 
-            // If any part fails validation there is no point to continue.
-            if (!result.isValid) {
-                break;
+            return;
+        }
+
+        if (Array.isArray(value) && expected.type === 'array') {
+            if (expected.items) {
+                value.forEach((item, index) => this._validateValueType(expected.items, item, element, pointerTo(pointer, index), state));
             }
+
+            return;
         }
 
-        return result;
+        const error = this._schemas.checkValue(expected, value);
+
+        if (error) {
+            incompatible(`Constraint "value" does not suit the field: ${error}.`);
+        }
     },
 
     /**
      * @method
-     * @name _validateConstraint
-     * @param {Object} constraint - The constraint to validate.
-     * @returns {Object} - The result of the validation.
-     * @description Validates a constraint. It checks if the field is a string and if the operator is valid.
+     * @name _validateComparison
+     * @param {Constraint | Quantifier} element - A constraint, or a "count" quantifier.
+     * @param {string} pointer - The JSON pointer of the element.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @returns {boolean} - Whether the operator and the value are valid.
+     * @description Validates the operator and the value of a constraint or of a "count" quantifier, and warns about
+     * values which are valid but unlikely to be meant.
      * @private
      */
-    _validateConstraint: function (constraint) {
-        if ('string' !== typeof constraint.field) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'Constraint "field" must be of type string.',
-                    element: constraint,
-                },
-            };
-        }
-
-        /**
-         *
-         * @type {Array<Operator>}
-         */
-        const operators = [
-            'equals',
-            'does not equal',
-            'greater than',
-            'less than',
-            'greater than or equal',
-            'less than or equal',
-            'exists',
-            'does not exist',
-            'in',
-            'not in',
-            'contains',
-            'not contains',
-            'contains any',
-            'not contains any',
-            'matches',
-            'does not match',
-        ];
-
-        if (!operators.includes(constraint.operator)) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'Constraint "operator" has invalid type.',
-                    element: constraint,
-                },
-            };
+    _validateComparison: function (element, pointer, state) {
+        const operator = this._operators.get(element.operator);
+        const valuePointer = pointerTo(pointer, 'value');
+
+        if (!operator) {
+            this._report(state, 'error', 'UNKNOWN_OPERATOR', 'Constraint "operator" has invalid type.', element, pointerTo(pointer, 'operator'));
         }
 
-        if (
-            ['in', 'not in', 'contains any', 'not contains any'].includes(constraint.operator)
-            && !Array.isArray(constraint.value)
-        ) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'Constraint "value" must be an array if the "operator" is in ["in", "not in", "contains any", "not contains any"]',
-                    element: constraint,
-                },
-            };
+        if (!this._validateDynamicValue(element.value, element, valuePointer, state) || !operator) {
+            return false;
         }
 
-        if (['matches', 'does not match'].includes(constraint.operator)) {
+        // Field references and expressions only resolve at evaluation time, so they cannot be checked by the operator.
+        const value = element.value;
+        const isDynamic = this._objectDiscovery.isFieldReference(value) || this._objectDiscovery.isExpression(value);
+        const isPattern = PATTERN_OPERATORS.includes(operator.name);
+        const message = operator.validateValue && !isDynamic ? operator.validateValue(value) : null;
+
+        if (message) {
+            this._report(state, 'error', isPattern ? 'INVALID_PATTERN' : 'INVALID_VALUE', message, element, valuePointer);
+            return false;
+        }
+
+        if (['equals', 'does not equal'].includes(operator.name) && 'string' === typeof value && NUMERIC_STRING.test(value)) {
+            this._report(state, 'warning', 'NUMERIC_STRING',
+                `The value "${value}" is a string, it never equals a number. Write ${value.trim()} without quotes if the field is a number.`, element, valuePointer);
+        }
+
+        if (isPattern && !isDynamic && 'string' !== typeof value) {
+            this._report(state, 'warning', 'SUSPICIOUS_PATTERN', 'The pattern is not a string, it is converted to one before it is compiled.', element, valuePointer);
+        } else if (isPattern && PATTERN_LITERAL.test(value)) {
+            this._report(state, 'warning', 'SUSPICIOUS_PATTERN',
+                'The pattern is written as a regular expression literal, its slashes and flags are matched as characters.', element, valuePointer);
+        }
+
+        return true;
+    },
+
+    /**
+     * @method
+     * @name _validateDynamicValue
+     * @param {*} value - The value of a constraint, or an element of it.
+     * @param {Object} constraint - The constraint the value belongs to.
+     * @param {string} pointer - The JSON pointer of the value.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @returns {boolean} - Whether the field references and expressions of the value are valid.
+     * @description Validates the field references and the arithmetic expressions used in the value of a constraint.
+     * @private
+     */
+    _validateDynamicValue: function (value, constraint, pointer, state) {
+        if (Array.isArray(value)) {
+            let isValid = true;
+
+            value.forEach((element, index) => {
+                isValid = this._validateDynamicValue(element, constraint, pointerTo(pointer, index), state) && isValid;
+            });
+
+            return isValid;
+        }
+
+        if (this._objectDiscovery.isFieldReference(value) && !this._objectDiscovery.isValidPath(value.$field)) {
+            this._report(state, 'error', 'INVALID_FIELD_REFERENCE', 'Constraint "value" references an invalid field path: ' + JSON.stringify(value.$field),
+                constraint, pointerTo(pointer, '$field'));
+            return false;
+        }
+
+        if (this._objectDiscovery.isExpression(value)) {
+            if ('string' !== typeof value.$expr) {
+                this._report(state, 'error', 'INVALID_EXPRESSION', 'Constraint "value" expression must be of type string.', constraint, pointerTo(pointer, '$expr'));
+                return false;
+            }
+
             try {
-                new RegExp(constraint.value);
+                this._valueExpression.parse(value.$expr);
             } catch (e) {
-                return {
-                    isValid: false,
-                    error: {
-                        message: 'Constraint "value" must be a valid regular expression if the "operator" is in ["matches", "not matches"]',
-                        element: constraint,
-                    },
-                };
+                this._report(state, 'error', 'INVALID_EXPRESSION', 'Constraint "value" expression is not valid: ' + e.message, constraint, pointerTo(pointer, '$expr'));
+                return false;
             }
         }
 
-        return {isValid: true};
+        return true;
     },
 
     /**
      * @method
      * @name _isValidCondition
      * @param {Object} obj - The object to check.
-     * @returns {Object} - The result of the check.
+     * @param {string} pointer - The JSON pointer of the object.
+     * @param {DiagnosisState} state - The state of the diagnosis.
+     * @returns {boolean} - Whether the object is a valid condition.
      * @description Checks if an object is a valid condition. It checks if the object has more than one "any", "all", or "none" property.
      * @private
      */
-    _isValidCondition: function (obj) {
+    _isValidCondition: function (obj, pointer, state) {
         if (!this._objectDiscovery.isCondition(obj)) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'Invalid condition structure.',
-                    element: obj,
-                },
-            };
+            this._report(state, 'error', 'INVALID_CONDITION', 'Invalid condition structure.', obj, pointer);
+            return false;
         }
 
         const isAny = 'any' in obj;
@@ -275,16 +930,11 @@ const Validator = Class.extend({
         const isNone = 'none' in obj;
 
         if ((isAny && isAll) || (isAny && isNone) || (isAll && isNone)) {
-            return {
-                isValid: false,
-                error: {
-                    message: 'A condition cannot have more than one "any", "all", or "none" property.',
-                    element: obj,
-                },
-            };
+            this._report(state, 'error', 'AMBIGUOUS_CONDITION', 'A condition cannot have more than one "any", "all", or "none" property.', obj, pointer);
+            return false;
         }
 
-        return {isValid: true};
+        return true;
     }
 });
 
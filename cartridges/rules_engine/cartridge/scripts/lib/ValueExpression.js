@@ -0,0 +1,245 @@
+const Class = require('~/cartridge/scripts/util/Class').Class;
+
+/**
+ * @typedef {Object} ExpressionNode
+ * @property {('number' | 'field' | 'negate' | 'binary')} type - The type of the node.
+ * @property {number} [value] - The value of a number node.
+ * @property {string} [path] - The criteria path of a field node.
+ * @property {string} [operator] - The operator of a binary node: +, -, *, / or %.
+ * @property {ExpressionNode} [operand] - The operand of a negate node.
+ * @property {ExpressionNode} [left] - The left operand of a binary node.
+ * @property {ExpressionNode} [right] - The right operand of a binary node.
+ */
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*(?:\[\d+\])*(?:\.[A-Za-z_$][\w$]*(?:\[\d+\])*)*)|([-+*/%()]))/g;
+
+/**
+ * @param {string} message - What went wrong.
+ * @param {number} column - The column where it went wrong, starting at 1.
+ * @returns {Error} - An error carrying the column.
+ */
+function syntaxError(message, column) {
+    const error = new Error(`${message} at column ${column}.`);
+
+    error.name = 'ExpressionSyntaxError';
+    error.column = column;
+
+    return error;
+}
+
+/**
+ * @class
+ * @name ValueExpression
+ * @description Parses and evaluates the small arithmetic expressions which can be used as the value of a constraint,
+ * e.g. {"$expr": "customer.averageOrderValue * 2 + 10"}. An expression is made of numbers, criteria paths, the
+ * operators +, -, *, / and %, and parentheses.
+ */
+const ValueExpression = Class.extend({
+    /**
+     * @method
+     * @name parse
+     * @param {string} text - The expression.
+     * @returns {ExpressionNode} - The syntax tree of the expression.
+     * @throws {Error} - An ExpressionSyntaxError with the column of the problem if the expression is not valid.
+     */
+    parse: function (text) {
+        const state = {tokens: this._tokenize(text), pos: 0};
+        const node = this._parseSum(state);
+        const token = state.tokens[state.pos];
+
+        if (token.type !== 'eof') {
+            throw syntaxError(`Unexpected '${token.text}'`, token.column);
+        }
+
+        return node;
+    },
+
+    /**
+     * @method
+     * @name evaluate
+     * @param {ExpressionNode} node - The syntax tree of the expression.
+     * @param {function(string): *} resolve - Resolves a criteria path into its value.
+     * @returns {number|undefined} - The result, or undefined if an operand is not a number or the result is not finite.
+     */
+    evaluate: function (node, resolve) {
+        let left;
+        let right;
+
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'field':
+                left = resolve(node.path);
+                return 'number' === typeof left && isFinite(left) ? left : undefined;
+            case 'negate':
+                left = this.evaluate(node.operand, resolve);
+                return undefined === left ? undefined : -left;
+        }
+
+        left = this.evaluate(node.left, resolve);
+        right = this.evaluate(node.right, resolve);
+
+        if (undefined === left || undefined === right) {
+            return undefined;
+        }
+
+        let result;
+
+        switch (node.operator) {
+            case '+':
+                result = left + right;
+                break;
+            case '-':
+                result = left - right;
+                break;
+            case '*':
+                result = left * right;
+                break;
+            case '/':
+                result = left / right;
+                break;
+            default:
+                result = left % right;
+        }
+
+        return isFinite(result) ? result : undefined;
+    },
+
+    /**
+     * @method
+     * @name fields
+     * @param {ExpressionNode} node - The syntax tree of the expression.
+     * @returns {Array.<string>} - The criteria paths referenced by the expression.
+     */
+    fields: function (node) {
+        switch (node.type) {
+            case 'field':
+                return [node.path];
+            case 'negate':
+                return this.fields(node.operand);
+            case 'binary':
+                return this.fields(node.left).concat(this.fields(node.right));
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * @method
+     * @name _tokenize
+     * @param {string} text - The expression.
+     * @returns {Array.<Object>} - The tokens of the expression, ending with an "eof" token.
+     * @private
+     */
+    _tokenize: function (text) {
+        const tokens = [];
+        let index = 0;
+        let match;
+
+        TOKEN.lastIndex = 0;
+
+        while (index < text.length && /\S/.test(text.slice(index))) {
+            match = TOKEN.exec(text);
+
+            if (!match || match.index !== index) {
+                let position = index + text.slice(index).search(/\S/);
+
+                throw syntaxError(`Unexpected character '${text.charAt(position)}'`, position + 1);
+            }
+
+            let column = index + match[0].length - match[0].trim().length + 1;
+
+            if (match[1]) {
+                tokens.push({type: 'number', text: match[1], value: Number(match[1]), column: column});
+            } else if (match[2]) {
+                tokens.push({type: 'field', text: match[2], value: match[2], column: column});
+            } else {
+                tokens.push({type: 'operator', text: match[3], value: match[3], column: column});
+            }
+
+            index = TOKEN.lastIndex;
+        }
+
+        tokens.push({type: 'eof', text: '', column: text.length + 1});
+
+        return tokens;
+    },
+
+    /**
+     * @method
+     * @name _parseSum
+     * @param {Object} state - The state of the parser.
+     * @returns {ExpressionNode}
+     * @private
+     */
+    _parseSum: function (state) {
+        let node = this._parseProduct(state);
+
+        while (['+', '-'].includes(state.tokens[state.pos].value)) {
+            let operator = state.tokens[state.pos++].value;
+
+            node = {type: 'binary', operator: operator, left: node, right: this._parseProduct(state)};
+        }
+
+        return node;
+    },
+
+    /**
+     * @method
+     * @name _parseProduct
+     * @param {Object} state - The state of the parser.
+     * @returns {ExpressionNode}
+     * @private
+     */
+    _parseProduct: function (state) {
+        let node = this._parseFactor(state);
+
+        while (['*', '/', '%'].includes(state.tokens[state.pos].value)) {
+            let operator = state.tokens[state.pos++].value;
+
+            node = {type: 'binary', operator: operator, left: node, right: this._parseFactor(state)};
+        }
+
+        return node;
+    },
+
+    /**
+     * @method
+     * @name _parseFactor
+     * @param {Object} state - The state of the parser.
+     * @returns {ExpressionNode}
+     * @private
+     */
+    _parseFactor: function (state) {
+        const token = state.tokens[state.pos++];
+
+        if (token.type === 'number') {
+            return {type: 'number', value: token.value};
+        }
+
+        if (token.type === 'field') {
+            return {type: 'field', path: token.value};
+        }
+
+        if (token.value === '-') {
+            return {type: 'negate', operand: this._parseFactor(state)};
+        }
+
+        if (token.value === '(') {
+            let node = this._parseSum(state);
+            let closing = state.tokens[state.pos++];
+
+            if (closing.value !== ')') {
+                throw syntaxError(`Expected ')' but found ${closing.type === 'eof' ? 'end of expression' : `'${closing.text}'`}`, closing.column);
+            }
+
+            return node;
+        }
+
+        state.pos--;
+
+        throw syntaxError(`Expected a number, a field or '(' but found ${token.type === 'eof' ? 'end of expression' : `'${token.text}'`}`, token.column);
+    }
+});
+
+module.exports = ValueExpression;
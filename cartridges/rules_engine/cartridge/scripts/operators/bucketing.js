@@ -0,0 +1,46 @@
+const bucketing = require('~/cartridge/scripts/util/bucketing');
+
+/**
+ * @typedef {import('../lib/OperatorRegistry')} OperatorRegistry
+ */
+
+/**
+ * @param {*} value - The value of the constraint.
+ * @returns {string|null} - An error message if the value is not a salt and a range of buckets.
+ */
+function validateBucket(value) {
+    const isValid = !!value && 'object' === typeof value
+        && 'string' === typeof value.salt && value.salt.length > 0
+        && Array.isArray(value.range) && value.range.length === 2
+        && value.range.every((limit) => 'number' === typeof limit && limit >= 0 && limit <= 100)
+        && value.range[0] < value.range[1];
+
+    return isValid
+        ? null
+        : 'Constraint "value" must be {"salt": string, "range": [from, to]} with 0 <= from < to <= 100 if the "operator" is "in bucket"';
+}
+
+/**
+ * @method
+ * @name register
+ * @param {OperatorRegistry} registry - The registry to register the bucketing operators in.
+ * @description Registers the operators assigning criteria to deterministic buckets, for percentage rollouts and A/B
+ * tests. The criterion, e.g. a customer number, is hashed with the salt of the constraint into a bucket from 0 to 100.
+ */
+exports.register = function (registry) {
+    registry.register('in bucket', {
+        evaluate: (criterion, value) => {
+            if (!bucketing.isBucketable(criterion) || validateBucket(value)) {
+                return false;
+            }
+
+            const position = bucketing.bucket(value.salt, criterion);
+
+            return position >= value.range[0] && position < value.range[1];
+        },
+        validateValue: validateBucket,
+        types: {criterion: ['string', 'number']},
+        // the criterion is hashed on each evaluation
+        cost: 5,
+    });
+};
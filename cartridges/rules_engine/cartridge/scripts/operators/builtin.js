@@ -0,0 +1,155 @@
+const constants = require('~/cartridge/scripts/util/constants');
+
+/**
+ * @typedef {import('../lib/OperatorRegistry')} OperatorRegistry
+ */
+
+/**
+ * @param {Array.<string>} operators - The operators sharing the requirement.
+ * @returns {function(*): (string|null)} - Validates that the value of a constraint is an array.
+ */
+function arrayValue(operators) {
+    return function (value) {
+        return Array.isArray(value)
+            ? null
+            : `Constraint "value" must be an array if the "operator" is in [${operators.map((o) => `"${o}"`).join(', ')}]`;
+    };
+}
+
+/**
+ * @param {*} value - The value of the constraint.
+ * @returns {string|null} - An error message if the value is not a valid regular expression.
+ */
+function regExpValue(value) {
+    try {
+        new RegExp(value);
+    } catch (e) {
+        return 'Constraint "value" must be a valid regular expression if the "operator" is in ["matches", "does not match"]';
+    }
+
+    return null;
+}
+
+/**
+ * @param {*} criterion - The criterion holding the pattern, which a client can supply.
+ * @returns {RegExp} - The compiled pattern.
+ * @throws {Error} - If the pattern is too long or not a valid regular expression.
+ */
+function pattern(criterion) {
+    const source = `${criterion}`;
+
+    if (source.length > constants.MAX_PATTERN_LENGTH) {
+        throw new Error(`The pattern is longer than ${constants.MAX_PATTERN_LENGTH} characters`);
+    }
+
+    return new RegExp(source);
+}
+
+const validateArrayValue = arrayValue(['in', 'not in', 'contains any', 'not contains any']);
+
+// the comparisons apply to the fields which can be ordered, with a value of the field
+const orderedTypes = {criterion: ['number', 'string', 'date'], value: 'same'};
+
+/**
+ * @method
+ * @name register
+ * @param {OperatorRegistry} registry - The registry to register the built-in operators in.
+ * @description Registers the operators which ship with the rules engine.
+ */
+exports.register = function (registry) {
+    registry.register('equals', {
+        evaluate: (criterion, value) => criterion === value,
+        aliases: ['=='],
+        types: {value: 'same'},
+    });
+
+    registry.register('does not equal', {
+        evaluate: (criterion, value) => criterion !== value,
+        aliases: ['!='],
+        types: {value: 'same'},
+    });
+
+    registry.register('greater than', {
+        evaluate: (criterion, value) => criterion > value,
+        aliases: ['>'],
+        types: orderedTypes,
+    });
+
+    registry.register('greater than or equal', {
+        evaluate: (criterion, value) => criterion >= value,
+        aliases: ['>='],
+        types: orderedTypes,
+    });
+
+    registry.register('less than', {
+        evaluate: (criterion, value) => criterion < value,
+        aliases: ['<'],
+        types: orderedTypes,
+    });
+
+    registry.register('less than or equal', {
+        evaluate: (criterion, value) => criterion <= value,
+        aliases: ['<='],
+        types: orderedTypes,
+    });
+
+    registry.register('exists', {
+        evaluate: (criterion) => !empty(criterion),
+        unary: true,
+    });
+
+    registry.register('does not exist', {
+        evaluate: (criterion) => empty(criterion),
+        unary: true,
+    });
+
+    registry.register('in', {
+        evaluate: (criterion, value) => Array.isArray(value) && value.includes(criterion),
+        validateValue: validateArrayValue,
+        types: {value: 'list'},
+    });
+
+    registry.register('not in', {
+        evaluate: (criterion, value) => !Array.isArray(value) || !value.includes(criterion),
+        validateValue: validateArrayValue,
+        types: {value: 'list'},
+    });
+
+    registry.register('contains', {
+        evaluate: (criterion, value) => Array.isArray(criterion) && criterion.includes(value),
+        types: {criterion: ['array'], value: 'item'},
+    });
+
+    registry.register('not contains', {
+        evaluate: (criterion, value) => !Array.isArray(criterion) || !criterion.includes(value),
+        types: {criterion: ['array'], value: 'item'},
+    });
+
+    registry.register('contains any', {
+        evaluate: (criterion, value) => Array.isArray(criterion) && Array.isArray(value) && value.some((x) => criterion.includes(x)),
+        validateValue: validateArrayValue,
+        types: {criterion: ['array'], value: 'items'},
+    });
+
+    registry.register('not contains any', {
+        evaluate: (criterion, value) => !Array.isArray(criterion) || !Array.isArray(value) || !value.some((x) => criterion.includes(x)),
+        validateValue: validateArrayValue,
+        types: {criterion: ['array'], value: 'items'},
+    });
+
+    registry.register('matches', {
+        evaluate: (criterion, value) => pattern(criterion).test(`${value}`),
+        validateValue: regExpValue,
+        types: {criterion: ['string']},
+        // the pattern is compiled on each evaluation
+        cost: 10,
+    });
+
+    registry.register('does not match', {
+        evaluate: (criterion, value) => !pattern(criterion).test(`${value}`),
+        validateValue: regExpValue,
+        aliases: ['not matches'],
+        types: {criterion: ['string']},
+        cost: 10,
+    });
+};
@@ -0,0 +1,165 @@
+const Calendar = require('dw/util/Calendar');
+
+const dates = require('~/cartridge/scripts/util/dates');
+
+/**
+ * @typedef {import('../lib/OperatorRegistry')} OperatorRegistry
+ */
+
+/**
+ * @param {*} value - The value of the constraint.
+ * @returns {string|null} - An error message if the value is not a date.
+ */
+function validateDate(value) {
+    return dates.resolveDate(value)
+        ? null
+        : 'Constraint "value" must be a date, a timestamp or a relative date such as "now-30d" if the "operator" is in ["before", "after"]';
+}
+
+/**
+ * @param {*} value - The value of the constraint.
+ * @returns {string|null} - An error message if the value is not a range of two dates.
+ */
+function validateDateRange(value) {
+    return Array.isArray(value) && value.length === 2 && value.every((v) => dates.resolveDate(v))
+        ? null
+        : 'Constraint "value" must be an array of two dates if the "operator" is "between"';
+}
+
+/**
+ * @param {*} value - The value of the constraint.
+ * @returns {string|null} - An error message if the value is not a duration.
+ */
+function validateDuration(value) {
+    return dates.isDuration(value)
+        ? null
+        : 'Constraint "value" must be a duration such as "30d" if the "operator" is in ["within last", "within next"]';
+}
+
+/**
+ * @param {*} criterion - The criterion of the constraint.
+ * @param {*} from - The start of the range.
+ * @param {*} to - The end of the range.
+ * @returns {boolean} - Whether the criterion is a date within the range, both ends included.
+ */
+function isBetween(criterion, from, to) {
+    const date = dates.toDate(criterion);
+
+    return !!(date && from && to) && date.getTime() >= from.getTime() && date.getTime() <= to.getTime();
+}
+
+// the values of the temporal operators are relative dates, durations or times, not dates of the field
+const dateTypes = {criterion: ['date']};
+// the dates are parsed, and relative ones resolved in the time zone of the site, on each evaluation
+const DATE_COST = 3;
+
+/**
+ * @method
+ * @name register
+ * @param {OperatorRegistry} registry - The registry to register the temporal operators in.
+ * @description Registers the operators comparing dates and times. The criterion can be a Date, a Calendar, a timestamp
+ * or an ISO 8601 string. Days of the week and times of day are taken in the time zone of the current site.
+ */
+exports.register = function (registry) {
+    registry.register('before', {
+        evaluate: (criterion, value) => {
+            const date = dates.toDate(criterion);
+            const limit = dates.resolveDate(value);
+
+            return !!(date && limit) && date.getTime() < limit.getTime();
+        },
+        validateValue: validateDate,
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('after', {
+        evaluate: (criterion, value) => {
+            const date = dates.toDate(criterion);
+            const limit = dates.resolveDate(value);
+
+            return !!(date && limit) && date.getTime() > limit.getTime();
+        },
+        validateValue: validateDate,
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('between', {
+        evaluate: (criterion, value) => Array.isArray(value)
+            && isBetween(criterion, dates.resolveDate(value[0]), dates.resolveDate(value[1])),
+        validateValue: validateDateRange,
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('within last', {
+        evaluate: (criterion, value) => {
+            const now = new Date();
+
+            return isBetween(criterion, dates.addDuration(now, value, -1), now);
+        },
+        validateValue: validateDuration,
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('within next', {
+        evaluate: (criterion, value) => {
+            const now = new Date();
+
+            return isBetween(criterion, now, dates.addDuration(now, value, 1));
+        },
+        validateValue: validateDuration,
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('day of week in', {
+        evaluate: (criterion, value) => {
+            const date = dates.toDate(criterion);
+
+            if (!date || !Array.isArray(value)) {
+                return false;
+            }
+
+            const day = dates.siteCalendar(date).get(Calendar.DAY_OF_WEEK);
+
+            return value.some((v) => dates.dayOfWeek(v) === day);
+        },
+        validateValue: (value) => Array.isArray(value) && value.length && value.every((v) => dates.dayOfWeek(v) !== null)
+            ? null
+            : 'Constraint "value" must be an array of days of the week (1 for Sunday to 7 for Saturday, or their names) if the "operator" is "day of week in"',
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+
+    registry.register('time of day between', {
+        evaluate: (criterion, value) => {
+            const date = dates.toDate(criterion);
+
+            if (!date || !Array.isArray(value)) {
+                return false;
+            }
+
+            const calendar = dates.siteCalendar(date);
+            const minutes = calendar.get(Calendar.HOUR_OF_DAY) * 60 + calendar.get(Calendar.MINUTE);
+            const from = dates.minutesOfDay(value[0]);
+            const to = dates.minutesOfDay(value[1]);
+
+            if (from === null || to === null) {
+                return false;
+            }
+
+            // A range ending before it starts spans midnight, e.g. ["22:00", "02:00"].
+            return from <= to
+                ? minutes >= from && minutes <= to
+                : minutes >= from || minutes <= to;
+        },
+        validateValue: (value) => Array.isArray(value) && value.length === 2 && value.every((v) => dates.minutesOfDay(v) !== null)
+            ? null
+            : 'Constraint "value" must be an array of two times of day such as ["18:00", "23:30"] if the "operator" is "time of day between"',
+        types: dateTypes,
+        cost: DATE_COST,
+    });
+};
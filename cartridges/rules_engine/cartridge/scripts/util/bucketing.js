@@ -0,0 +1,111 @@
+/**
+ * @module util/bucketing
+ * @description Deterministic bucketing for percentage rollouts and experiments. A value, e.g. a customer number, is
+ * hashed with a salt into a bucket between 0 (included) and 100 (excluded), with a precision of 0.01. The same value and
+ * salt always land in the same bucket, on every instance and in every session, while different salts spread the same
+ * values independently.
+ */
+
+/**
+ * Multiplies two 32 bit integers, keeping the lower 32 bits of the result.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function multiply(a, b) {
+    return ((a & 0xffff) * b + ((((a >>> 16) * b) & 0xffff) << 16)) >>> 0;
+}
+
+/**
+ * Hashes a string into an unsigned 32 bit integer, with FNV-1a followed by the finalizer of MurmurHash3, so that values
+ * which only differ by their last characters are spread evenly.
+ * @param {string} text
+ * @returns {number}
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        h = multiply(h ^ text.charCodeAt(i), 0x01000193);
+    }
+
+    h = multiply(h ^ (h >>> 16), 0x85ebca6b);
+    h = multiply(h ^ (h >>> 13), 0xc2b2ae35);
+
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Checks whether a value can be bucketed: a non empty string or a finite number.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBucketable(value) {
+    return ('string' === typeof value && value.length > 0) || ('number' === typeof value && isFinite(value));
+}
+
+/**
+ * Computes the bucket of a value.
+ * @param {string} salt - Identifies the rollout or the experiment.
+ * @param {string|number} value - The value to bucket, e.g. a customer number.
+ * @returns {number} - The bucket, from 0 (included) to 100 (excluded).
+ */
+function bucket(salt, value) {
+    return (hash(salt + ':' + String(value)) % 10000) / 100;
+}
+
+/**
+ * Picks the variant of a value. The variants take consecutive ranges of buckets in their order, as wide as their
+ * weight, so adding a variant at the end or increasing the weight of the last one does not move the values which were
+ * already allocated.
+ * @param {string} salt - Identifies the experiment.
+ * @param {string|number} value - The value to allocate, e.g. a customer number.
+ * @param {Array.<{name: string, weight: number}>} variants - The variants, with weights in percent adding up to 100
+ * at most.
+ * @returns {string|null} - The name of the variant, or null if the value falls outside of every variant.
+ */
+function allocate(salt, value, variants) {
+    const position = bucket(salt, value);
+    let end = 0;
+
+    for (let variant of variants) {
+        end += variant.weight;
+
+        if (position < end) {
+            return variant.name;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validates the variants of an experiment.
+ * @param {*} variants
+ * @returns {string|null} - An error message if the variants are not valid.
+ */
+function validateVariants(variants) {
+    if (!Array.isArray(variants) || !variants.length) {
+        return 'The variants must be a non empty array of {name, weight}';
+    }
+
+    let total = 0;
+
+    for (let variant of variants) {
+        if (!variant || 'string' !== typeof variant.name || !variant.name || 'number' !== typeof variant.weight || !(variant.weight >= 0)) {
+            return 'Each variant must have a "name" and a positive "weight"';
+        }
+
+        total += variant.weight;
+    }
+
+    return total > 100 ? 'The weights of the variants must add up to 100 at most' : null;
+}
+
+module.exports = {
+    hash: hash,
+    isBucketable: isBucketable,
+    bucket: bucket,
+    allocate: allocate,
+    validateVariants: validateVariants,
+};
@@ -0,0 +1,37 @@
+/**
+ * @module util/constants
+ * @description Constants shared by the validator and the evaluator.
+ */
+
+/**
+ * The maximum length of a chain of rule references expanded while validating or evaluating a rule, counting the
+ * evaluated rule itself when it has an id.
+ * @type {number}
+ */
+exports.MAX_REFERENCE_DEPTH = 10;
+
+/**
+ * The maximum length of a pattern the "matches" operators compile from the criteria, which clients can supply. Longer
+ * patterns never match, to bound the cost of a malicious pattern.
+ * @type {number}
+ */
+exports.MAX_PATTERN_LENGTH = 256;
+
+/**
+ * The keys which reach the prototype of an object rather than one of its properties. They are never copied from the
+ * criteria supplied by a client, so a client cannot plant properties the sanitized criteria would inherit.
+ * @type {Array.<string>}
+ */
+exports.UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * The id of the cache holding the parsed and validated rules, as declared in caches.json.
+ * @type {string}
+ */
+exports.CACHE_ID = 'RulesEngine';
+
+/**
+ * The quantifiers of the collection quantifier nodes.
+ * @type {Array.<string>}
+ */
+exports.QUANTIFIERS = ['some', 'every', 'none', 'count'];
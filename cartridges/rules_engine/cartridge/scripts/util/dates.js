@@ -0,0 +1,191 @@
+/**
+ * @module util/dates
+ * @description Helpers resolving the date values used by the temporal operators. Relative values and dates without a
+ * time zone are resolved in the time zone of the current site.
+ */
+
+const Calendar = require('dw/util/Calendar');
+const Site = require('dw/system/Site');
+
+const RELATIVE = /^(now|today)(?:\s*([+-])\s*(\d+)\s*(mo|m|h|d|w|y))?$/;
+const DURATION = /^(\d+)\s*(mo|m|h|d|w|y)$/;
+const LOCAL_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * @param {string} unit - A duration unit: m, h, d, w, mo or y.
+ * @param {number} amount - The amount of units.
+ * @returns {{field: number, amount: number}} - The calendar field and amount to add for the duration.
+ */
+function calendarOffset(unit, amount) {
+    switch (unit) {
+        case 'm':
+            return {field: Calendar.MINUTE, amount: amount};
+        case 'h':
+            return {field: Calendar.HOUR_OF_DAY, amount: amount};
+        case 'd':
+            return {field: Calendar.DATE, amount: amount};
+        case 'w':
+            return {field: Calendar.DATE, amount: amount * 7};
+        case 'mo':
+            return {field: Calendar.MONTH, amount: amount};
+        default:
+            return {field: Calendar.YEAR, amount: amount};
+    }
+}
+
+/**
+ * Creates a calendar in the time zone of the current site.
+ * @param {Date} [date] - The date of the calendar, now if omitted.
+ * @returns {dw.util.Calendar}
+ */
+function siteCalendar(date) {
+    const calendar = date ? new Calendar(date) : new Calendar();
+
+    calendar.setTimeZone(Site.getCurrent().getTimezone());
+
+    return calendar;
+}
+
+/**
+ * Converts a criterion into a date. Dates, calendars, timestamps and ISO 8601 strings are supported.
+ * @param {*} value
+ * @returns {Date|null} - The date, or null if the value is not a date.
+ */
+function toDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+
+    if (value instanceof Calendar) {
+        return value.getTime();
+    }
+
+    if ('number' === typeof value) {
+        return new Date(value);
+    }
+
+    if ('string' === typeof value && value) {
+        const local = LOCAL_DATE.exec(value);
+
+        // Dates without a time zone are local to the site.
+        if (local) {
+            const calendar = siteCalendar();
+
+            calendar.set(Number(local[1]), Number(local[2]) - 1, Number(local[3]), Number(local[4] || 0), Number(local[5] || 0), Number(local[6] || 0));
+            calendar.set(Calendar.MILLISECOND, 0);
+
+            return calendar.getTime();
+        }
+
+        const date = new Date(value);
+
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the value of a temporal constraint into a date. Besides the values supported by toDate, relative values
+ * such as "now", "now-30d" or "today+1w" are resolved against the current time in the time zone of the site.
+ * @param {*} value
+ * @returns {Date|null} - The date, or null if the value is not a valid date.
+ */
+function resolveDate(value) {
+    const relative = 'string' === typeof value ? RELATIVE.exec(value.trim()) : null;
+
+    if (!relative) {
+        return toDate(value);
+    }
+
+    const calendar = siteCalendar();
+
+    if (relative[1] === 'today') {
+        calendar.set(Calendar.HOUR_OF_DAY, 0);
+        calendar.set(Calendar.MINUTE, 0);
+        calendar.set(Calendar.SECOND, 0);
+        calendar.set(Calendar.MILLISECOND, 0);
+    }
+
+    if (relative[2]) {
+        const offset = calendarOffset(relative[4], Number(relative[3]) * (relative[2] === '-' ? -1 : 1));
+
+        calendar.add(offset.field, offset.amount);
+    }
+
+    return calendar.getTime();
+}
+
+/**
+ * Moves a date by a duration such as "30d", "2h" or "1mo" in the time zone of the site.
+ * @param {Date} date - The date to move.
+ * @param {string} duration - The duration.
+ * @param {number} direction - 1 to move forward, -1 to move backward.
+ * @returns {Date|null} - The moved date, or null if the duration is not valid.
+ */
+function addDuration(date, duration, direction) {
+    const match = 'string' === typeof duration ? DURATION.exec(duration.trim()) : null;
+
+    if (!match) {
+        return null;
+    }
+
+    const calendar = siteCalendar(date);
+    const offset = calendarOffset(match[2], Number(match[1]) * direction);
+
+    calendar.add(offset.field, offset.amount);
+
+    return calendar.getTime();
+}
+
+/**
+ * Checks if a value is a valid duration such as "30d", "2h" or "1mo".
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDuration(value) {
+    return 'string' === typeof value && DURATION.test(value.trim());
+}
+
+/**
+ * Converts a day of the week into its calendar value, 1 (Sunday) to 7 (Saturday).
+ * @param {number|string} value - The calendar value, or the English name of the day, or its first three letters.
+ * @returns {number|null} - The calendar value, or null if the value is not a day of the week.
+ */
+function dayOfWeek(value) {
+    if ('number' === typeof value) {
+        return value >= 1 && value <= 7 && value % 1 === 0 ? value : null;
+    }
+
+    if ('string' === typeof value && value.length >= 3) {
+        const name = value.toLowerCase();
+        const index = DAYS.findIndex((day) => day.indexOf(name) === 0);
+
+        return index === -1 ? null : index + 1;
+    }
+
+    return null;
+}
+
+/**
+ * Converts a time of day such as "18:30" into minutes since midnight.
+ * @param {*} value
+ * @returns {number|null} - The minutes since midnight, or null if the value is not a valid time of day.
+ */
+function minutesOfDay(value) {
+    const match = 'string' === typeof value ? TIME_OF_DAY.exec(value.trim()) : null;
+
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+module.exports = {
+    siteCalendar: siteCalendar,
+    toDate: toDate,
+    resolveDate: resolveDate,
+    addDuration: addDuration,
+    isDuration: isDuration,
+    dayOfWeek: dayOfWeek,
+    minutesOfDay: minutesOfDay,
+};
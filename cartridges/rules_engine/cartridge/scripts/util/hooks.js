@@ -0,0 +1,44 @@
+/**
+ * @module util/hooks
+ * @description Calls the extension points other cartridges implement in their hooks.json to extend the engine, see
+ * hooks.jsdoc for the payload of each one.
+ */
+
+const HookMgr = require('dw/system/HookMgr');
+
+/**
+ * Tells whether a cartridge implements an extension point of the engine, to skip preparing its payloads otherwise.
+ * @param {string} name - The name of the extension point without the "app.rules." prefix.
+ * @returns {boolean}
+ */
+function has(name) {
+    return HookMgr.hasHook('app.rules.' + name);
+}
+
+/**
+ * Calls an extension point of the engine, if a cartridge implements it. A failing implementation is logged and treated
+ * as if it returned nothing, so an extension cannot break the evaluation of the rules.
+ * @param {string} name - The name of the extension point without the "app.rules." prefix, and of the function the
+ * implementations export, e.g. "beforeEvaluate".
+ * @param {Object} payload - The payload passed to the implementations.
+ * @returns {*} - What the implementation returned, undefined if there is none or it failed.
+ */
+function call(name, payload) {
+    const extensionPoint = 'app.rules.' + name;
+
+    if (!has(name)) {
+        return undefined;
+    }
+
+    try {
+        return HookMgr.callHook(extensionPoint, name, payload);
+    } catch (e) {
+        dw.system.Logger.error('The {0} hook failed: {1}', extensionPoint, e.message);
+        return undefined;
+    }
+}
+
+module.exports = {
+    has: has,
+    call: call,
+};
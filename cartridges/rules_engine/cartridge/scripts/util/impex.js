@@ -0,0 +1,71 @@
+/**
+ * @module util/impex
+ * @description Helpers shared by the job steps reading and writing files in the IMPEX share of the instance.
+ */
+
+const File = require('dw/io/File');
+const FileReader = require('dw/io/FileReader');
+const FileWriter = require('dw/io/FileWriter');
+
+/**
+ * Resolves a path relative to the src folder of IMPEX, as shown by "Site Development > Development Setup".
+ * @param {string} path - The path of the file, e.g. "rules/bundle.json".
+ * @returns {dw.io.File|null} - The file, or null if the path has a ".." segment and could leave the src folder.
+ */
+function file(path) {
+    const relative = String(path).replace(/^[\\/]+/, '');
+
+    if (relative.split(/[\\/]/).indexOf('..') !== -1) {
+        return null;
+    }
+
+    return new File([File.IMPEX, 'src', relative].join(File.SEPARATOR));
+}
+
+/**
+ * Reads a text file.
+ * @param {dw.io.File} source
+ * @returns {string}
+ */
+function read(source) {
+    const reader = new FileReader(source, 'UTF-8');
+
+    try {
+        return reader.readString() || '';
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Writes a text file, creating its folder if needed.
+ * @param {dw.io.File} target
+ * @param {string} content
+ */
+function write(target, content) {
+    target.getParentFile().mkdirs();
+
+    const writer = new FileWriter(target, 'UTF-8');
+
+    try {
+        writer.write(content);
+    } finally {
+        writer.close();
+    }
+}
+
+/**
+ * Splits a comma separated job parameter.
+ * @param {string} [value]
+ * @returns {Array.<string>}
+ */
+function list(value) {
+    return value ? String(value).split(',').map((item) => item.trim()).filter((item) => item.length > 0) : [];
+}
+
+module.exports = {
+    file: file,
+    read: read,
+    write: write,
+    list: list,
+};
@@ -0,0 +1,36 @@
+/**
+ * @module util/json
+ * @description Helpers comparing the JSON of rules and pointing into it.
+ */
+
+/**
+ * Serializes a value with the keys of its objects sorted, so equal values serialize the same.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonical(value) {
+    if (value instanceof Array) {
+        return '[' + value.map(canonical).join(',') + ']';
+    }
+
+    if (value && 'object' === typeof value) {
+        return '{' + Object.keys(value).sort().map((key) => JSON.stringify(key) + ':' + canonical(value[key])).join(',') + '}';
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Appends a property name or an index to a JSON pointer, escaping it as RFC 6901 requires.
+ * @param {string} pointer - A JSON pointer, e.g. /conditions/0.
+ * @param {string|number} key - A property name or an index.
+ * @returns {string} - The JSON pointer of the property or element.
+ */
+function pointerTo(pointer, key) {
+    return pointer + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = {
+    canonical: canonical,
+    pointerTo: pointerTo,
+};
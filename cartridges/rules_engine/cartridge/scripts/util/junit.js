@@ -0,0 +1,118 @@
+/**
+ * @module util/junit
+ * @description Writes the results of the test cases of the rules as a JUnit XML report, the format CI servers read.
+ * Each rule is a test suite and each test case a test case of it.
+ */
+
+/**
+ * @typedef {import('../lib/RuleTests').TestRunResult} TestRunResult
+ */
+
+/**
+ * Escapes a text for an XML attribute or element.
+ * @param {*} value
+ * @returns {string}
+ */
+function escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the attributes of an element.
+ * @param {Object.<string, *>} values - The values of the attributes by name.
+ * @returns {string}
+ */
+function attributes(values) {
+    return Object.keys(values).map((name) => ` ${name}="${escape(values[name])}"`).join('');
+}
+
+/**
+ * Renders the test suite of a rule. A rule whose test cases could not be run has a single test case in error, and a
+ * rule without test cases a single skipped one. The referenced rules which changed since the last passing run are
+ * listed as a property and in the output of the suite.
+ * @param {TestRunResult} result
+ * @returns {{xml: string, tests: number, failures: number, errors: number, skipped: number}}
+ */
+function suite(result) {
+    const lines = [];
+    const counts = {tests: 0, failures: 0, errors: 0, skipped: 0};
+    const testcase = (name, body) => {
+        counts.tests++;
+        let open = `    <testcase${attributes({classname: 'rules.' + result.ruleId, name: name})}`;
+
+        lines.push(body ? `${open}>${body}</testcase>` : `${open}/>`);
+    };
+
+    if (result.changedReferences.length) {
+        lines.push('    <properties>');
+        lines.push(`      <property${attributes({name: 'changedReferences', value: result.changedReferences.join(', ')})}/>`);
+        lines.push('    </properties>');
+    }
+
+    if (result.error) {
+        counts.errors++;
+        testcase('validation', `<error${attributes({message: result.error})}/>`);
+    } else if (!result.cases.length) {
+        counts.skipped++;
+        testcase('no test cases', `<skipped${attributes({message: 'The rule has no test cases.'})}/>`);
+    }
+
+    for (let test of result.cases) {
+        if (test.passed) {
+            testcase(test.name, '');
+        } else if (test.error) {
+            counts.errors++;
+            testcase(test.name, `<error${attributes({message: test.error})}/>`);
+        } else {
+            counts.failures++;
+            testcase(test.name, `<failure${attributes({
+                message: `Expected ${JSON.stringify(test.expected)}, got ${JSON.stringify(test.actual)}`,
+            })}/>`);
+        }
+    }
+
+    if (result.changedReferences.length) {
+        lines.push(`    <system-out>${escape('Referenced rules changed since the last passing run: ' + result.changedReferences.join(', '))}</system-out>`);
+    }
+
+    counts.xml = [`  <testsuite${attributes({
+        name: result.ruleId,
+        tests: counts.tests,
+        failures: counts.failures,
+        errors: counts.errors,
+        skipped: counts.skipped,
+    })}>`].concat(lines, ['  </testsuite>']).join('\n');
+
+    return counts;
+}
+
+/**
+ * Renders the report of a test run.
+ * @param {Array.<TestRunResult>} results - The results of the rules.
+ * @param {Date} timestamp - When the run started.
+ * @returns {string} - The JUnit XML report.
+ */
+function report(results, timestamp) {
+    const suites = results.map(suite);
+    const total = (name) => suites.reduce((sum, s) => sum + s[name], 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites${attributes({
+            name: 'rules',
+            tests: total('tests'),
+            failures: total('failures'),
+            errors: total('errors'),
+            skipped: total('skipped'),
+            timestamp: timestamp.toISOString(),
+        })}>`,
+    ].concat(suites.map((s) => s.xml), ['</testsuites>', '']).join('\n');
+}
+
+module.exports = {
+    report: report,
+};
@@ -0,0 +1,58 @@
+/**
+ * @module util/lifecycle
+ * @description Helpers for the lifecycle metadata of a rule: whether it is enabled and scheduled now, and its
+ * priority.
+ */
+
+const dates = require('~/cartridge/scripts/util/dates');
+
+/**
+ * Checks whether a rule is active, i.e. it is not disabled and the current time is within its schedule window. The
+ * start date is inclusive and the end date exclusive, a missing date leaves that side of the window open.
+ * @param {Object} rule - The rule to check.
+ * @param {Date} [now] - The current time, now if omitted.
+ * @returns {boolean}
+ */
+function isActive(rule, now) {
+    if (rule.enabled === false) {
+        return false;
+    }
+
+    const time = (now || new Date()).getTime();
+    const startDate = rule.startDate !== undefined && rule.startDate !== null ? dates.toDate(rule.startDate) : null;
+    const endDate = rule.endDate !== undefined && rule.endDate !== null ? dates.toDate(rule.endDate) : null;
+
+    return (!startDate || startDate.getTime() <= time) && (!endDate || time < endDate.getTime());
+}
+
+/**
+ * Gets the priority of a rule, 0 if it has none.
+ * @param {Object} rule
+ * @returns {number}
+ */
+function priority(rule) {
+    return 'number' === typeof rule.priority && isFinite(rule.priority) ? rule.priority : 0;
+}
+
+/**
+ * Sorts rules by priority, the highest first. Rules of the same priority are sorted by id, so the order is stable
+ * across requests.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareByPriority(a, b) {
+    const difference = priority(b) - priority(a);
+
+    if (difference !== 0) {
+        return difference;
+    }
+
+    return String(a.id || '') < String(b.id || '') ? -1 : String(a.id || '') > String(b.id || '') ? 1 : 0;
+}
+
+module.exports = {
+    isActive: isActive,
+    priority: priority,
+    compareByPriority: compareByPriority,
+};
@@ -0,0 +1,33 @@
+/**
+ * @module util/transaction
+ * @description Wraps the writes of the engine in a transaction which the writes made while it runs join, so a job step
+ * can write several rules and their revisions all or nothing.
+ */
+
+const Transaction = require('dw/system/Transaction');
+
+let depth = 0;
+
+/**
+ * Runs a callback in a transaction. When a transaction opened by this function is already running, the callback joins
+ * it instead, and its writes are committed or rolled back along with the ones of the outermost callback.
+ * @param {Function} callback - The function doing the writes.
+ * @returns {*} - What the callback returned.
+ */
+function wrap(callback) {
+    if (depth > 0) {
+        return callback();
+    }
+
+    depth++;
+
+    try {
+        return Transaction.wrap(callback);
+    } finally {
+        depth--;
+    }
+}
+
+module.exports = {
+    wrap: wrap,
+};
@@ -0,0 +1,675 @@
+/**
+ * The visual builder of the Rules Engine Business Manager module. The draft rule is kept as the same JSON the engine
+ * evaluates, and the builder renders it as nested groups of constraints and references which edit it in place.
+ */
+(function () {
+    'use strict';
+
+    const container = document.getElementById('rules-engine-builder');
+    const config = JSON.parse(container.getAttribute('data-config'));
+    const CONDITION_TYPES = ['all', 'any', 'none'];
+    const QUANTIFIERS = ['some', 'every', 'none', 'count'];
+    const operators = {};
+
+    config.operators.forEach((operator) => {
+        operators[operator.name] = operator;
+        operator.aliases.forEach((alias) => {
+            operators[alias] = operator;
+        });
+    });
+
+    /**
+     * Looks up an element of the builder by its role.
+     * @param {string} role
+     * @returns {HTMLElement}
+     */
+    function part(role) {
+        return container.querySelector(`[data-role="${role}"]`);
+    }
+
+    /**
+     * Creates an element.
+     * @param {string} tag
+     * @param {Object} [attributes]
+     * @param {Array.<(HTMLElement|string)>} [children]
+     * @returns {HTMLElement}
+     */
+    function element(tag, attributes, children) {
+        const node = document.createElement(tag);
+
+        Object.keys(attributes || {}).forEach((name) => {
+            if (name.indexOf('on') === 0) {
+                node.addEventListener(name.slice(2), attributes[name]);
+            } else if (name in node) {
+                node[name] = attributes[name];
+            } else {
+                node.setAttribute(name, attributes[name]);
+            }
+        });
+
+        (children || []).forEach((child) => {
+            node.appendChild('string' === typeof child ? document.createTextNode(child) : child);
+        });
+
+        return node;
+    }
+
+    /**
+     * Parses a JSON value typed by the author. Text which is not JSON is taken as a string, so "VIP" does not need to
+     * be quoted.
+     * @param {string} text
+     * @returns {*}
+     */
+    function parseValue(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /**
+     * Splits a comma separated list.
+     * @param {string} text
+     * @returns {Array.<string>}
+     */
+    function parseList(text) {
+        return text.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+    }
+
+    /**
+     * Shows a message above the builder.
+     * @param {string} text
+     * @param {boolean} isError
+     */
+    function showMessage(text, isError) {
+        const message = part('message');
+
+        message.textContent = text;
+        message.className = 'rules-engine-message ' + (isError ? 'rules-engine-error' : 'rules-engine-success');
+    }
+
+    /**
+     * Lists the errors and warnings of the rule returned by a save.
+     * @param {Array.<Object>} diagnostics
+     */
+    function showDiagnostics(diagnostics) {
+        const list = part('diagnostics');
+
+        list.innerHTML = '';
+        diagnostics.forEach((diagnostic) => {
+            list.appendChild(element('li', {className: 'rules-engine-' + diagnostic.severity}, [
+                `${diagnostic.severity} ${diagnostic.code} at ${diagnostic.pointer || '/'}` +
+                    (diagnostic.references ? ` (in ${diagnostic.references.join(' -> ')})` : '') + `: ${diagnostic.message}`,
+            ]));
+        });
+    }
+
+    /**
+     * Posts a form to the module.
+     * @param {string} url
+     * @param {Object.<string, string>} parameters
+     * @returns {Promise.<Object>}
+     */
+    function post(url, parameters) {
+        const body = new URLSearchParams();
+
+        body.append(config.csrf.name, config.csrf.token);
+        Object.keys(parameters).forEach((name) => body.append(name, parameters[name]));
+
+        return fetch(url, {method: 'POST', body: body, credentials: 'same-origin'}).then((response) => response.json());
+    }
+
+    /**
+     * Creates the draft from the rule given by the server.
+     * @param {Object|null} source
+     * @returns {{rule: Object, error: (string|null)}}
+     */
+    function createDraft(source) {
+        const rule = {
+            id: '',
+            label: '',
+            description: '',
+            context: '',
+            enabled: true,
+            startDate: '',
+            endDate: '',
+            priority: 0,
+            tags: [],
+            clientFields: [],
+            tests: [],
+            actions: [],
+            conditions: [{all: []}],
+        };
+        let error = null;
+
+        if (!source) {
+            return {rule: rule, error: error};
+        }
+
+        Object.keys(rule).forEach((name) => {
+            if (name !== 'conditions' && name !== 'tests' && name !== 'actions' && name in source) {
+                rule[name] = source[name];
+            }
+        });
+
+        try {
+            let conditions = JSON.parse(source.conditions);
+
+            rule.conditions = conditions instanceof Array ? conditions : [conditions];
+
+            if (source.defaultResult) {
+                rule.default = JSON.parse(source.defaultResult);
+            }
+
+            if (source.tests) {
+                rule.tests = JSON.parse(source.tests);
+            }
+
+            if (source.actions) {
+                rule.actions = JSON.parse(source.actions);
+            }
+        } catch (e) {
+            error = `The stored rule is not valid JSON (${e.message}), fix it in the JSON editor.`;
+            rule.conditions = [];
+            rule.source = source.conditions;
+        }
+
+        return {rule: rule, error: error};
+    }
+
+    const draft = createDraft(config.draft);
+    let rule = draft.rule;
+
+    /**
+     * Serializes the draft into the rule JSON the engine expects.
+     * @returns {Object}
+     */
+    function serialize() {
+        const result = {};
+
+        Object.keys(rule).forEach((name) => {
+            if (name !== 'source' && !(name in {context: 1, startDate: 1, endDate: 1} && !rule[name])) {
+                result[name] = rule[name];
+            }
+        });
+
+        // a single root condition without a result is stored the way it was written by hand
+        if (rule.conditions.length === 1 && !('result' in rule.conditions[0]) && !('default' in rule)) {
+            result.conditions = rule.conditions[0];
+        }
+
+        return result;
+    }
+
+    /**
+     * Renders an input of the metadata of the rule.
+     * @param {string} label
+     * @param {HTMLElement} input
+     * @returns {HTMLElement}
+     */
+    function field(label, input) {
+        return element('label', {className: 'rules-engine-field'}, [element('span', {}, [label]), input]);
+    }
+
+    /**
+     * Renders the metadata of the rule.
+     */
+    function renderMetadata() {
+        const metadata = part('metadata');
+        const text = (name, attributes) => element('input', Object.assign({
+            type: 'text',
+            value: rule[name] instanceof Array ? rule[name].join(', ') : String(rule[name]),
+            oninput: (event) => {
+                rule[name] = rule[name] instanceof Array ? parseList(event.target.value) : event.target.value;
+            },
+        }, attributes || {}));
+
+        metadata.innerHTML = '';
+        metadata.appendChild(field('ID', text('id', {readOnly: !!config.draft})));
+        metadata.appendChild(field('Label', text('label')));
+        metadata.appendChild(field('Description', text('description')));
+        metadata.appendChild(field('Context', text('context', {placeholder: 'mobile-app-home'})));
+        metadata.appendChild(field('Enabled', element('input', {
+            type: 'checkbox',
+            checked: rule.enabled !== false,
+            onchange: (event) => {
+                rule.enabled = event.target.checked;
+            },
+        })));
+        metadata.appendChild(field('Start Date (ISO 8601)', text('startDate', {placeholder: '2024-12-01T00:00'})));
+        metadata.appendChild(field('End Date (ISO 8601)', text('endDate', {placeholder: '2024-12-24T00:00'})));
+        metadata.appendChild(field('Priority', element('input', {
+            type: 'number',
+            value: String(rule.priority || 0),
+            oninput: (event) => {
+                rule.priority = Number(event.target.value) || 0;
+            },
+        })));
+        metadata.appendChild(field('Tags (comma separated)', text('tags')));
+        metadata.appendChild(field('Client Fields (comma separated)', text('clientFields')));
+        metadata.appendChild(field('Default Result (JSON)', element('input', {
+            type: 'text',
+            value: 'default' in rule ? JSON.stringify(rule.default) : '',
+            oninput: (event) => {
+                if (event.target.value.trim()) {
+                    rule.default = parseValue(event.target.value);
+                } else {
+                    delete rule.default;
+                }
+            },
+        })));
+        metadata.appendChild(field('Test Cases (JSON)', element('textarea', {
+            rows: 4,
+            placeholder: '[{"name": "...", "criteria": {...}, "expected": true}]',
+            value: rule.tests instanceof Array && !rule.tests.length ? '' : JSON.stringify(rule.tests, null, 2),
+            oninput: (event) => {
+                rule.tests = event.target.value.trim() ? parseValue(event.target.value) : [];
+            },
+        })));
+        metadata.appendChild(field('Actions (JSON)', element('textarea', {
+            rows: 4,
+            placeholder: '[{"action": "setSessionAttribute", "params": {"name": "...", "value": "..."}}]',
+            value: rule.actions instanceof Array && !rule.actions.length ? '' : JSON.stringify(rule.actions, null, 2),
+            oninput: (event) => {
+                rule.actions = event.target.value.trim() ? parseValue(event.target.value) : [];
+            },
+        })));
+    }
+
+    /**
+     * Renders a constraint.
+     * @param {Object} constraint
+     * @param {function()} remove
+     * @returns {HTMLElement}
+     */
+    function renderConstraint(constraint, remove) {
+        const value = element('input', {
+            type: 'text',
+            className: 'rules-engine-value',
+            placeholder: 'value (JSON)',
+            value: constraint.value === undefined ? '' : JSON.stringify(constraint.value),
+            oninput: (event) => {
+                constraint.value = parseValue(event.target.value);
+            },
+        });
+        const updateValue = () => {
+            value.hidden = !!(operators[constraint.operator] && operators[constraint.operator].unary);
+        };
+        const operatorSelect = element('select', {
+            onchange: (event) => {
+                constraint.operator = event.target.value;
+                updateValue();
+            },
+        }, Object.keys(operators).map((name) => element('option', {value: name, selected: name === constraint.operator}, [name])));
+
+        updateValue();
+
+        return element('div', {className: 'rules-engine-constraint'}, [
+            element('input', {
+                type: 'text',
+                placeholder: 'field, e.g. customer.gender',
+                value: constraint.field,
+                oninput: (event) => {
+                    constraint.field = event.target.value;
+                },
+            }),
+            operatorSelect,
+            value,
+            element('button', {type: 'button', className: 'button', onclick: remove}, ['Remove']),
+        ]);
+    }
+
+    /**
+     * Renders a reference to another rule.
+     * @param {string} id
+     * @param {function(string)} replace
+     * @param {function()} remove
+     * @returns {HTMLElement}
+     */
+    function renderReference(id, replace, remove) {
+        const ids = config.ruleIds.filter((ruleId) => ruleId !== rule.id);
+
+        if (ids.indexOf(id) === -1) {
+            ids.unshift(id);
+        }
+
+        return element('div', {className: 'rules-engine-reference'}, [
+            element('span', {}, ['Rule ']),
+            element('select', {
+                onchange: (event) => replace(event.target.value),
+            }, ids.map((ruleId) => element('option', {value: ruleId, selected: ruleId === id}, [ruleId]))),
+            element('button', {type: 'button', className: 'button', onclick: remove}, ['Remove']),
+        ]);
+    }
+
+    /**
+     * Renders a node of a condition.
+     * @param {Object|string} node
+     * @param {function(*)} replace
+     * @param {function()} remove
+     * @returns {HTMLElement}
+     */
+    function renderNode(node, replace, remove) {
+        if ('string' === typeof node) {
+            return renderReference(node, replace, remove);
+        }
+
+        if (CONDITION_TYPES.some((type) => type in node)) {
+            return renderCondition(node, remove);
+        }
+
+        if ('collection' in node && 'quantifier' in node) {
+            return renderQuantifier(node, remove);
+        }
+
+        return renderConstraint(node, remove);
+    }
+
+    /**
+     * Renders a collection quantifier and the condition its items are matched against.
+     * @param {Object} quantifier
+     * @param {function()} remove
+     * @returns {HTMLElement}
+     */
+    function renderQuantifier(quantifier, remove) {
+        const body = element('div', {className: 'rules-engine-nodes'});
+        const count = element('span', {}, [
+            element('select', {
+                onchange: (event) => {
+                    quantifier.operator = event.target.value;
+                },
+            }, Object.keys(operators).map((name) => element('option', {value: name, selected: name === quantifier.operator}, [name]))),
+            element('input', {
+                type: 'text',
+                className: 'rules-engine-value',
+                placeholder: 'count (JSON)',
+                value: quantifier.value === undefined ? '' : JSON.stringify(quantifier.value),
+                oninput: (event) => {
+                    quantifier.value = parseValue(event.target.value);
+                },
+            }),
+        ]);
+        const renderBody = () => {
+            const removeWhere = () => {
+                delete quantifier.where;
+                renderBody();
+            };
+
+            body.innerHTML = '';
+
+            if ('string' === typeof quantifier.where) {
+                body.appendChild(renderReference(quantifier.where, (value) => {
+                    quantifier.where = value;
+                }, removeWhere));
+            } else if (quantifier.where) {
+                body.appendChild(renderCondition(quantifier.where, removeWhere));
+            } else {
+                body.appendChild(element('button', {
+                    type: 'button',
+                    className: 'button',
+                    onclick: () => {
+                        quantifier.where = {all: []};
+                        renderBody();
+                    },
+                }, ['Add Item Condition']));
+            }
+        };
+
+        count.hidden = quantifier.quantifier !== 'count';
+        renderBody();
+
+        return element('div', {className: 'rules-engine-quantifier'}, [
+            element('div', {className: 'rules-engine-header'}, [
+                element('select', {
+                    onchange: (event) => {
+                        quantifier.quantifier = event.target.value;
+
+                        // only "count" compares the number of matching items
+                        if (quantifier.quantifier === 'count') {
+                            quantifier.operator = count.querySelector('select').value;
+                            quantifier.value = parseValue(count.querySelector('input').value);
+                        } else {
+                            delete quantifier.operator;
+                            delete quantifier.value;
+                        }
+
+                        count.hidden = quantifier.quantifier !== 'count';
+                    },
+                }, QUANTIFIERS.map((name) => element('option', {value: name, selected: name === quantifier.quantifier}, [name]))),
+                element('span', {}, ['of ']),
+                element('input', {
+                    type: 'text',
+                    placeholder: 'collection, e.g. basket.productLineItems',
+                    value: quantifier.collection,
+                    oninput: (event) => {
+                        quantifier.collection = event.target.value;
+                    },
+                }),
+                count,
+                element('button', {type: 'button', className: 'button', onclick: remove}, ['Remove']),
+            ]),
+            body,
+        ]);
+    }
+
+    /**
+     * Renders a condition and its nodes.
+     * @param {Object} condition
+     * @param {function()} [remove]
+     * @param {HTMLElement} [extra] - Rendered in the header of the condition, e.g. the result of a root condition.
+     * @returns {HTMLElement}
+     */
+    function renderCondition(condition, remove, extra) {
+        const type = CONDITION_TYPES.filter((name) => name in condition)[0];
+        const nodes = condition[type];
+        const list = element('div', {className: 'rules-engine-nodes'});
+        const renderNodes = () => {
+            list.innerHTML = '';
+            nodes.forEach((node, index) => {
+                list.appendChild(renderNode(node, (value) => {
+                    nodes[index] = value;
+                }, () => {
+                    nodes.splice(index, 1);
+                    renderNodes();
+                }));
+            });
+        };
+        const add = (node) => () => {
+            nodes.push(node());
+            renderNodes();
+        };
+        const header = [
+            element('select', {
+                onchange: (event) => {
+                    const current = CONDITION_TYPES.filter((name) => name in condition)[0];
+
+                    condition[event.target.value] = condition[current];
+                    delete condition[current];
+                },
+            }, CONDITION_TYPES.map((name) => element('option', {value: name, selected: name === type}, [name]))),
+            element('button', {type: 'button', className: 'button', onclick: add(() => ({field: '', operator: config.operators[0].name, value: ''}))}, ['Add Constraint']),
+            element('button', {type: 'button', className: 'button', onclick: add(() => ({all: []}))}, ['Add Group']),
+            element('button', {type: 'button', className: 'button', onclick: add(() => ({collection: '', quantifier: 'some', where: {all: []}}))}, ['Add Quantifier']),
+        ];
+
+        if (config.ruleIds.length) {
+            header.push(element('button', {type: 'button', className: 'button', onclick: add(() => config.ruleIds[0])}, ['Add Reference']));
+        }
+
+        if (remove) {
+            header.push(element('button', {type: 'button', className: 'button', onclick: remove}, ['Remove']));
+        }
+
+        if (extra) {
+            header.push(extra);
+        }
+
+        renderNodes();
+
+        return element('div', {className: 'rules-engine-condition'}, [element('div', {className: 'rules-engine-header'}, header), list]);
+    }
+
+    /**
+     * Renders the root conditions of the rule.
+     */
+    function renderConditions() {
+        const conditions = part('conditions');
+
+        conditions.innerHTML = '';
+        rule.conditions.forEach((condition, index) => {
+            const result = element('input', {
+                type: 'text',
+                placeholder: 'result (JSON)',
+                value: 'result' in condition ? JSON.stringify(condition.result) : '',
+                oninput: (event) => {
+                    if (event.target.value.trim()) {
+                        condition.result = parseValue(event.target.value);
+                    } else {
+                        delete condition.result;
+                    }
+                },
+            });
+
+            conditions.appendChild(renderCondition(condition, () => {
+                rule.conditions.splice(index, 1);
+                renderConditions();
+            }, result));
+        });
+    }
+
+    /**
+     * Renders the whole draft.
+     */
+    function render() {
+        renderMetadata();
+        renderConditions();
+        part('json-text').value = rule.source !== undefined ? rule.source : JSON.stringify(serialize(), null, 4);
+    }
+
+    /**
+     * Renders the evaluation tree of a node of the explanation.
+     * @param {Object} node
+     * @param {string} [prefix] - Tells which item of a collection the node was evaluated for.
+     * @returns {HTMLElement}
+     */
+    function renderExplanation(node, prefix) {
+        let text;
+        let children = [];
+
+        switch (node.node) {
+            case 'condition':
+                text = node.type + (node.shortCircuited ? ' (short-circuited)' : '');
+                children = node.nodes;
+                break;
+            case 'constraint':
+                text = `${node.field} ${node.operator} ${JSON.stringify(node.expected)}` +
+                    (node.skipped ? '' : ` (actual: ${JSON.stringify(node.actual)})`);
+                break;
+            case 'quantifier':
+                text = `${node.quantifier} of ${node.collection}` +
+                    (node.operator ? ` ${node.operator} ${JSON.stringify(node.expected)}` : '') +
+                    (node.skipped ? '' : node.size === undefined ? ' (not a collection)' : ` (${node.count} of ${node.size} items matched)`) +
+                    (node.shortCircuited ? ' (short-circuited)' : '');
+                children = node.items;
+                break;
+            case 'reference':
+                text = `rule ${node.ruleId}` + (node.inactive ? ' (inactive)' : '') + (node.error ? ` (${node.error})` : '');
+                children = node.conditions ? [node.conditions] : [];
+                break;
+            default:
+                text = `invalid node ${JSON.stringify(node.element)}`;
+        }
+
+        const state = node.skipped ? 'skipped' : node.result ? 'matched' : 'failed';
+
+        return element('li', {className: 'rules-engine-' + state}, [
+            `${prefix || ''}${text}: ${state}`,
+            element('ul', {}, children.map((child) => renderExplanation(child, node.node === 'quantifier' ? `item ${child.index}: ` : ''))),
+        ]);
+    }
+
+    container.addEventListener('click', (event) => {
+        const action = event.target.getAttribute('data-action');
+
+        switch (action) {
+            case 'add-root':
+                rule.conditions.push({all: []});
+                renderConditions();
+                break;
+            case 'toggle-json':
+                part('json-text').value = rule.source !== undefined ? rule.source : JSON.stringify(serialize(), null, 4);
+                part('json').hidden = !part('json').hidden;
+                break;
+            case 'apply-json':
+                try {
+                    let source = JSON.parse(part('json-text').value);
+
+                    source.conditions = source.conditions instanceof Array ? source.conditions : [source.conditions];
+                    source.id = rule.id && config.draft ? rule.id : source.id || '';
+                    rule = Object.assign(createDraft(null).rule, source);
+                    render();
+                    showMessage('The JSON was applied.', false);
+                } catch (e) {
+                    showMessage(`The JSON is not valid: ${e.message}`, true);
+                }
+                break;
+            case 'evaluate':
+                post(config.urls.evaluate, {rule: JSON.stringify(serialize()), criteria: part('criteria').value}).then((data) => {
+                    const explanation = part('explanation');
+
+                    explanation.innerHTML = '';
+
+                    if (!data.success) {
+                        explanation.appendChild(element('p', {className: 'rules-engine-error'}, [data.error.message]));
+                        return;
+                    }
+
+                    if (data.explanation.inactive) {
+                        explanation.appendChild(element('p', {}, ['The rule is disabled or out of its schedule, so it does not match.']));
+                    }
+
+                    explanation.appendChild(element('p', {}, [
+                        `Result: ${JSON.stringify(data.explanation.result)}, decision: ${JSON.stringify(data.explanation.decision)}`,
+                    ]));
+                    explanation.appendChild(element('ul', {className: 'rules-engine-tree'}, data.explanation.conditions.map((node) => renderExplanation(node))));
+                });
+                break;
+            case 'save':
+                if (rule.source !== undefined) {
+                    showMessage('Apply the JSON before saving.', true);
+                    break;
+                }
+
+                // a new rule must not replace a stored rule which has the same id
+                post(config.urls.save, {rule: JSON.stringify(serialize()), isNew: String(!config.draft)}).then((data) => {
+                    showDiagnostics(data.diagnostics || []);
+
+                    if (data.success && !config.draft) {
+                        // reopen a new rule as a stored one, so its id can no longer be changed
+                        const url = new URL(config.urls.edit, window.location.href);
+
+                        url.searchParams.set('id', rule.id);
+                        window.location.href = url.toString();
+                        return;
+                    }
+
+                    if (data.success) {
+                        showMessage('The rule was saved.', false);
+                        return;
+                    }
+
+                    showMessage(`The rule was not saved: ${data.error.message}` +
+                        (data.error.element !== undefined ? ` ${JSON.stringify(data.error.element)}` : ''), true);
+                });
+                break;
+        }
+    });
+
+    render();
+
+    if (draft.error) {
+        part('json').hidden = false;
+        showMessage(draft.error, true);
+    }
+}());